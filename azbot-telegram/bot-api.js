@@ -2,15 +2,45 @@
  * @module bot-api
  */
 
+import * as fs from "node:fs";
+import * as path from "node:path";
+import * as util from "node:util";
+import {Buffer} from "node:buffer";
+import {Transform, pipeline} from "node:stream";
 import {
   get,
   post,
+  getStream,
+  sleep,
   isString,
   isObject,
   isFormData,
   toSnakeCaseObject,
   toSnakeCaseFormData
 } from "./bot-utils.js";
+import {
+  BotError,
+  TelegramError,
+  NetworkError,
+  ResponseError
+} from "./bot-error.js";
+import BotScheduler from "./bot-scheduler.js";
+
+const pipelinePromise = util.promisify(pipeline);
+
+/**
+ * @private
+ * @description Default retry policy, used when retry is enabled.
+ */
+const defaultRetry = {
+  "maxAttempts": 3,
+  "floodWait": true,
+  "maxRetryAfter": 60,
+  "serverError": true,
+  "networkError": true,
+  "baseDelay": 1000,
+  "maxDelay": 30000
+};
 
 /**
  * @description JavaScript implemention for Telegram Bot API.
@@ -20,15 +50,66 @@ import {
 class BotAPI {
   /**
    * @param {String} token Telegram Bot token.
+   * @param {Object} [opts] Optional arguments.
+   * @param {String} [opts.baseURL="https://api.telegram.org"] Bot API server, set this if you run a self-hosted one, `http://` is also supported.
+   * @param {Boolean} [opts.testEnvironment=false] Use Telegram test environment.
+   * @param {Boolean} [opts.local=false] Set this if the self-hosted Bot API server runs with `--local`, then `file_path` is a local absolute path.
+   * @param {(Boolean|Object)} [opts.retry=false] Retry policy, `true` to use defaults.
+   * @param {Number} [opts.retry.maxAttempts=3] Including the first attempt.
+   * @param {Boolean} [opts.retry.floodWait=true] Wait `retry_after` seconds and retry on 429.
+   * @param {Number} [opts.retry.maxRetryAfter=60] Don't retry if Telegram asks to wait longer than this seconds.
+   * @param {Boolean} [opts.retry.serverError=true] Retry on 5xx errors with backoff.
+   * @param {Boolean} [opts.retry.networkError=true] Retry on network errors with backoff, note that a request may be sent twice.
+   * @param {Number} [opts.retry.baseDelay=1000] First backoff delay in milliseconds.
+   * @param {Number} [opts.retry.maxDelay=30000] Max backoff delay in milliseconds.
+   * @param {Number} [opts.timeout=1500] Timeout of requests in milliseconds.
+   * @param {Number} [opts.uploadTimeout=60000] Timeout of requests uploading or downloading files in milliseconds.
+   * @param {Number} [opts.longPollMargin=5000] Extra milliseconds added to `timeout` of `getUpdates()`, so long polling won't time out before Telegram returns.
+   * @param {(Boolean|Object)} [opts.rateLimit=false] Queue sending and editing calls to respect Telegram's limits, `true` to use defaults, or options for BotScheduler.
    * @return {BotAPI}
    */
-  constructor(token) {
+  constructor(token, opts = {}) {
     /**
      * @property {String} token Telegram Bot token.
      * @property {String} version Telegram Bot API version.
+     * @property {String} baseURL Bot API server without trailing slash.
+     * @property {Boolean} testEnvironment Use Telegram test environment.
+     * @property {Boolean} local Bot API server runs with `--local`.
      */
     this.token = token;
     this.version = "4.9";
+    this.baseURL = (opts["baseURL"] || "https://api.telegram.org")
+      .replace(/\/+$/, "");
+    this.testEnvironment = opts["testEnvironment"] || false;
+    this.local = opts["local"] || false;
+    this.timeout = opts["timeout"] || 1500;
+    this.uploadTimeout = opts["uploadTimeout"] || 60000;
+    this.longPollMargin = opts["longPollMargin"] != null
+      ? opts["longPollMargin"]
+      : 5000;
+    this.retry = this.getRetryPolicy(opts["retry"]);
+    this.botScheduler = null;
+    if (opts["rateLimit"] != null && opts["rateLimit"] !== false) {
+      this.botScheduler = new BotScheduler(
+        opts["rateLimit"] === true ? {} : opts["rateLimit"]
+      );
+    }
+    // Options for requests, overridden by `withOptions()`.
+    this.requestOpts = {};
+  }
+
+  /**
+   * @description Get a BotAPI which shares everything with this one but uses
+   * different request options, useful to override options for one call.
+   * @example
+   * botAPI.withOptions({"retry": false}).sendMessage(chatID, text)
+   * @param {Object} [opts] Request options, see `request()`.
+   * @return {BotAPI}
+   */
+  withOptions(opts = {}) {
+    const botAPI = Object.create(this);
+    botAPI.requestOpts = Object.assign({}, this.requestOpts, opts);
+    return botAPI;
   }
 
   /**
@@ -41,33 +122,238 @@ class BotAPI {
 
   /**
    * @private
-   * @description Warpper for HTTP requests.
+   * @description Build URL for Telegram Bot API method.
+   * @param {String} method Telegram Bot API method.
+   * @return {String}
+   */
+  getMethodURL(method) {
+    // Test environment uses `/bot<token>/test/<method>`.
+    const environment = this.testEnvironment ? "/test" : "";
+    return `${this.baseURL}/bot${this.token}${environment}/${method}`;
+  }
+
+  /**
+   * @description Build URL for downloading file.
+   * @param {String} filePath `file_path` of File.
+   * @return {String}
+   */
+  getFileURL(filePath) {
+    const environment = this.testEnvironment ? "/test" : "";
+    return `${this.baseURL}/file/bot${this.token}${environment}/${filePath}`;
+  }
+
+  /**
+   * @private
+   * @description Copy request body for errors, file contents are replaced by
+   * their filenames so errors are safe to log.
+   * @param {FormData|Object} body Request body.
+   * @return {Object}
+   */
+  sanitizeParams(body) {
+    const params = {};
+    if (body == null) {
+      return params;
+    }
+    if (!isFormData(body)) {
+      return Object.assign(params, body);
+    }
+    for (const [name, values] of Object.entries(body.data)) {
+      const sanitized = values.map((o) => {
+        return o["filename"] != null ? `<file ${o["filename"]}>` : o["value"];
+      });
+      params[name] = sanitized.length > 1 ? sanitized : sanitized[0];
+    }
+    return params;
+  }
+
+  /**
+   * @private
+   * @param {(Boolean|Object)} [retry] Retry option.
+   * @return {Object} Retry policy, `null` means no retry.
+   */
+  getRetryPolicy(retry) {
+    if (retry == null || retry === false) {
+      return null;
+    }
+    return Object.assign({}, defaultRetry, retry === true ? {} : retry);
+  }
+
+  /**
+   * @private
+   * @param {Error} error Error of the last attempt.
+   * @param {Number} attempt How many attempts were made.
+   * @param {Object} retry Retry policy.
+   * @return {Number} Milliseconds to wait, `null` means don't retry.
+   */
+  getRetryDelay(error, attempt, retry) {
+    if (retry == null || attempt >= retry["maxAttempts"]) {
+      return null;
+    }
+    const backoff = Math.min(
+      retry["maxDelay"],
+      retry["baseDelay"] * 2 ** (attempt - 1)
+    );
+    if (error instanceof TelegramError) {
+      if (error.errorCode === 429 && error.retryAfter != null) {
+        if (!retry["floodWait"] || error.retryAfter > retry["maxRetryAfter"]) {
+          return null;
+        }
+        return error.retryAfter * 1000;
+      }
+      if (error.errorCode >= 500 && retry["serverError"]) {
+        return backoff;
+      }
+      return null;
+    }
+    // Invalid JSON mostly comes from a proxy in trouble, treat it as network.
+    if ((error instanceof NetworkError || error instanceof ResponseError) &&
+        retry["networkError"]) {
+      return backoff;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   * @param {String} method Telegram Bot API method.
+   * @return {Boolean} Whether this call should wait for BotScheduler.
+   */
+  isRateLimited(method) {
+    return this.botScheduler != null &&
+      (method.startsWith("send") || method.startsWith("edit") ||
+       method === "forwardMessage") &&
+      method !== "sendChatAction";
+  }
+
+  /**
+   * @private
+   * @param {FormData|Object} body Request body.
+   * @return {(Number|String)} Target chat ID, `null` if not found.
+   */
+  getChatID(body) {
+    if (body == null) {
+      return null;
+    }
+    const chatID = isFormData(body) ? body.get("chat_id") : body["chat_id"];
+    return chatID != null ? chatID : null;
+  }
+
+  /**
+   * @private
+   * @description Warpper for HTTP requests, retry if needed.
    * @param {String} method Telegram Bot API method.
    * @param {FormData|Object} body Request body.
+   * @param {Object} [opts] Request options, override options of instance.
+   * @param {(Boolean|Object)} [opts.retry] Retry policy, see constructor.
+   * @param {Number} [opts.timeout] Timeout in milliseconds, override every
+   * default timeout.
+   * @param {AbortSignal} [opts.signal] Abort request with it, rejects with
+   * AbortError.
+   * @return {Promise} Promise of Telegram result, rejects with TelegramError,
+   * NetworkError, TimeoutError or ResponseError.
+   */
+  async request(method, body, opts = {}) {
+    opts = Object.assign({}, this.requestOpts, opts);
+    const retry = opts["retry"] !== undefined
+      ? this.getRetryPolicy(opts["retry"])
+      : this.retry;
+    for (let attempt = 1; ; ++attempt) {
+      try {
+        if (this.isRateLimited(method)) {
+          return await this.botScheduler.schedule(
+            this.getChatID(body),
+            this.send.bind(this, method, body, opts)
+          );
+        }
+        return await this.send(method, body, opts);
+      } catch (error) {
+        const delay = this.getRetryDelay(error, attempt, retry);
+        // A Readable is already consumed, we cannot send it again.
+        if (delay == null || (isFormData(body) && !body.isReplayable())) {
+          throw error;
+        }
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {String} method Telegram Bot API method.
+   * @param {FormData|Object} body Request body.
+   * @param {Object} opts Request options.
+   * @return {Number} Timeout in milliseconds.
+   */
+  getTimeout(method, body, opts) {
+    if (opts["timeout"] != null) {
+      return opts["timeout"];
+    }
+    if (isFormData(body)) {
+      return this.uploadTimeout;
+    }
+    // Telegram holds long polling requests for `timeout` seconds.
+    if (method === "getUpdates" && body != null && body["timeout"] > 0) {
+      return body["timeout"] * 1000 + this.longPollMargin;
+    }
+    return this.timeout;
+  }
+
+  /**
+   * @private
+   * @description Send one HTTP request and parse Telegram response.
+   * @param {String} method Telegram Bot API method.
+   * @param {FormData|Object} body Request body.
+   * @param {Object} [opts] Request options.
    * @return {Promise} Promise of Telegram result.
    */
-  request(method, body) {
-    const url = `https://api.telegram.org/bot${this.token}/${method}`;
-    let promise;
-    if (body != null) {
-      if (isFormData(body)) {
-        promise = post(url, body.getBuffer(), body.getHeaders());
+  async send(method, body, opts = {}) {
+    const url = this.getMethodURL(method);
+    const timeout = this.getTimeout(method, body, opts);
+    const signal = opts["signal"];
+    let response;
+    try {
+      if (body != null) {
+        if (isFormData(body)) {
+          // Stream files instead of reading them into memory.
+          const length = await body.getLength();
+          response = await post(
+            url,
+            body.getStream(),
+            body.getHeaders(length),
+            {timeout, signal}
+          );
+        } else {
+          response = await post(url, body, {}, {timeout, signal});
+        }
       } else {
-        promise = post(url, body);
+        response = await get(url, {}, {timeout, signal});
       }
-    } else {
-      promise = get(url);
-    }
-    return promise.then((response) => {
-      const data = JSON.parse(response.toString("utf8"));
-      if (!data["ok"]) {
-        throw new Error(
-          `Telegram Error: ${data["error_code"]} ${data["description"]}`,
-          data
-        );
+    } catch (error) {
+      if (error instanceof BotError) {
+        error.method = method;
+        error.params = this.sanitizeParams(body);
       }
-      return data["result"];
-    });
+      throw error;
+    }
+    const text = response.toString("utf8");
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new ResponseError("Response Error: Invalid JSON.", {
+        method,
+        "params": this.sanitizeParams(body),
+        "cause": error,
+        "body": text
+      });
+    }
+    if (!data["ok"]) {
+      throw new TelegramError(data, {
+        method,
+        "params": this.sanitizeParams(body)
+      });
+    }
+    return data["result"];
   }
 
   /**
@@ -124,7 +410,7 @@ class BotAPI {
    * @param {(Number|String)} chatID Telegram chat ID.
    * @param {String} text Message content.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @return {Promise<Message>}
    */
   sendMessage(chatID, text, opts = {}) {
@@ -151,7 +437,7 @@ class BotAPI {
    * @param {(Number|String)} chatID Target Telegram chat ID.
    * @param {(String|Object)} photo File ID, photo URL or InputFile.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @return {Promise<Message>}
    */
   sendPhoto(chatID, photo, opts = {}) {
@@ -169,7 +455,7 @@ class BotAPI {
    * @param {(Number|String)} chatID Target Telegram chat ID.
    * @param {(String|Object)} audio File ID, audio URL or InputFile.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @param {(String|Object)} [opts.thumb] Thumb URL or InputFile.
    * @return {Promise<Message>}
    */
@@ -188,7 +474,7 @@ class BotAPI {
    * @param {(Number|String)} chatID Target Telegram chat ID.
    * @param {(String|Object)} document File ID, document URL or InputFile.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @param {(String|Object)} [opts.thumb] Thumb URL or InputFile.
    * @return {Promise<Message>}
    */
@@ -208,7 +494,7 @@ class BotAPI {
    * @param {(Number|String)} chatID Target Telegram chat ID.
    * @param {(String|Object)} video File ID, video URL or InputFile.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @param {(String|Object)} [opts.thumb] Thumb URL or InputFile.
    * @return {Promise<Message>}
    */
@@ -228,7 +514,7 @@ class BotAPI {
    * @param {(Number|String)} chatID Target Telegram chat ID.
    * @param {(String|Object)} animation File ID, animation URL or InputFile.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @param {(String|Object)} [opts.thumb] Thumb URL or InputFile.
    * @return {Promise<Message>}
    */
@@ -248,7 +534,7 @@ class BotAPI {
    * @param {(Number|String)} chatID Target Telegram chat ID.
    * @param {(String|Object)} voice File ID, voice URL or InputFile.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @return {Promise<Message>}
    */
   sendVoice(chatID, voice, opts = {}) {
@@ -266,7 +552,7 @@ class BotAPI {
    * @param {(Number|String)} chatID Target Telegram chat ID.
    * @param {(String|Object)} videoNote File ID, video note URL or InputFile.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @param {(String|Object)} [opts.thumb] Thumb URL or InputFile.
    * @return {Promise<Message>}
    */
@@ -328,7 +614,7 @@ class BotAPI {
    * @param {Number} latitude
    * @param {Number} longitude
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @return {Promise<Message>}
    */
   sendLocation(chatID, latitude, longitude, opts = {}) {
@@ -343,7 +629,7 @@ class BotAPI {
    * @param {Number} latitude
    * @param {Number} longitude
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkupp.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkupp.
    * @param {Number} [opts.chatID] Required if inlineMessageID is not given.
    * @param {Number} [opts.messageID] Required if inlineMessageID is not given.
    * @param {String} [opts.inlineMessageID] Required if chatID and inlineMessageID are not given.
@@ -364,7 +650,7 @@ class BotAPI {
   /**
    * @see https://core.telegram.org/bots/api#stopmessagelivelocation
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkupp.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkupp.
    * @param {Number} [opts.chatID] Required if inlineMessageID is not given.
    * @param {Number} [opts.messageID] Required if inlineMessageID is not given.
    * @param {String} [opts.inlineMessageID] Required if chatID and inlineMessageID are not given.
@@ -390,7 +676,7 @@ class BotAPI {
    * @param {String} title
    * @param {String} address
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @return {Promise<Message>}
    */
   sendVenue(chatID, latitude, longitude, title, address, opts = {}) {
@@ -406,7 +692,7 @@ class BotAPI {
    * @param {String} phoneNumber User's phone number.
    * @param {String} firstName User's first name.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @return {Promise<Message>}
    */
   sendContact(chatID, phoneNumber, firstName, opts = {}) {
@@ -422,7 +708,7 @@ class BotAPI {
    * @param {String} question
    * @param {String} options JSON-serialized Array of String.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @return {Promise<Message>}
    */
   sendPoll(chatID, question, options, opts = {}) {
@@ -436,7 +722,7 @@ class BotAPI {
    * @see https://core.telegram.org/bots/api#senddice
    * @param {(Number|String)} chatID Target Telegram chat ID.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @return {Promise<Message>}
    */
   sendDice(chatID, opts = {}) {
@@ -475,6 +761,88 @@ class BotAPI {
     return this.request("getFile", toSnakeCaseObject({fileID}));
   }
 
+  /**
+   * @description Download a file by file ID, at most 20 MB for Telegram's
+   * server.
+   * @see https://core.telegram.org/bots/api#getfile
+   * @param {(Number|String)} fileID Target Telegram file ID.
+   * @param {Object} [opts] Optional arguments.
+   * @param {String} [opts.dest] Save file to this path and resolve the path.
+   * @param {Boolean} [opts.stream=false] Resolve a Readable instead of Buffer.
+   * @param {Number} [opts.maxSize] Max bytes, default to 20 MB, or no limit in local mode.
+   * @param {Number} [opts.timeout] Timeout in milliseconds, default to `uploadTimeout`.
+   * @return {Promise<(Buffer|stream.Readable|String)>} Buffer by default.
+   */
+  async downloadFile(fileID, opts = {}) {
+    const maxSize = opts["maxSize"] != null
+      ? opts["maxSize"]
+      : this.local ? Infinity : 20 * 1024 * 1024;
+    const file = await this.getFile(fileID);
+    const tooLarge = () => {
+      return new BotError(
+        `File Error: File is larger than ${maxSize} bytes.`,
+        {"method": "downloadFile", "params": {"file_id": fileID}}
+      );
+    };
+    if (file["file_size"] != null && file["file_size"] > maxSize) {
+      throw tooLarge();
+    }
+    if (file["file_path"] == null) {
+      throw new BotError(
+        "File Error: File is not available for downloading.",
+        {"method": "downloadFile", "params": {"file_id": fileID}}
+      );
+    }
+    let source;
+    if (this.local && path.isAbsolute(file["file_path"])) {
+      source = fs.createReadStream(file["file_path"]);
+    } else {
+      try {
+        source = await getStream(this.getFileURL(file["file_path"]), {}, {
+          "timeout": opts["timeout"] || this.uploadTimeout
+        });
+      } catch (error) {
+        if (error instanceof BotError) {
+          error.method = "downloadFile";
+          error.params = {"file_id": fileID};
+        }
+        throw error;
+      }
+    }
+    // `file_size` may be missing, so also count bytes while reading.
+    let size = 0;
+    const limiter = new Transform({
+      "transform": (chunk, encoding, callback) => {
+        size += chunk.length;
+        callback(size > maxSize ? tooLarge() : null, chunk);
+      }
+    });
+    if (opts["stream"]) {
+      return pipeline(source, limiter, () => {});
+    }
+    if (opts["dest"] != null) {
+      try {
+        await pipelinePromise(
+          source,
+          limiter,
+          fs.createWriteStream(opts["dest"])
+        );
+      } catch (error) {
+        // Don't leave a broken file.
+        await fs.promises.rm(opts["dest"], {"force": true});
+        throw error;
+      }
+      return opts["dest"];
+    }
+    const chunks = [];
+    await pipelinePromise(source, limiter, async function *(stream) {
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+    });
+    return Buffer.concat(chunks);
+  }
+
   /**
    * @see https://core.telegram.org/bots/api#kickchatmember
    * @param {(Number|String)} chatID Target Telegram chat ID.
@@ -711,26 +1079,35 @@ class BotAPI {
 
   /**
    * @see https://core.telegram.org/bots/api#setmycommands
-   * @param {String} commands JSON-serialized Array of BotCommand.
+   * @param {BotCommand[]} commands Array of BotCommand.
+   * @param {Object} [opts] Optional Telegram parameters.
+   * @param {BotCommandScope} [opts.scope] Users for whom the commands are relevant.
+   * @param {String} [opts.languageCode] Two-letter ISO 639-1 language code.
    * @return {Promise<Boolean>}
    */
-  setMyCommands(commands) {
-    return this.request("setMyCommands", toSnakeCaseObject({commands}));
+  setMyCommands(commands, opts = {}) {
+    return this.request("setMyCommands", toSnakeCaseObject({commands}, opts));
   }
 
   /**
    * @see https://core.telegram.org/bots/api#getmycommands
+   * @param {Object} [opts] Optional Telegram parameters.
+   * @param {BotCommandScope} [opts.scope] Users for whom the commands are relevant.
+   * @param {String} [opts.languageCode] Two-letter ISO 639-1 language code.
    * @return {Promise<BotCommand[]>}
    */
-  getMyCommands() {
-    return this.request("getMyCommands");
+  getMyCommands(opts = {}) {
+    if (Object.keys(opts).length === 0) {
+      return this.request("getMyCommands");
+    }
+    return this.request("getMyCommands", toSnakeCaseObject(opts));
   }
 
   /**
    * @see https://core.telegram.org/bots/api#editmessagetext
    * @param {String} text Message content.
    * @param {Object} opts Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @param {Number} [opts.chatID] Required if inlineMessageID is not given.
    * @param {Number} [opts.messageID] Required if inlineMessageID is not given.
    * @param {String} [opts.inlineMessageID] Required if chatID and inlineMessageID are not given.
@@ -751,7 +1128,7 @@ class BotAPI {
   /**
    * @see https://core.telegram.org/bots/api#editmessagecaption
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkupp .
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkupp .
    * @param {Number} [opts.chatID] Required if inlineMessageID is not given.
    * @param {Number} [opts.messageID] Required if inlineMessageID is not given.
    * @param {String} [opts.inlineMessageID] Required if chatID and inlineMessageID are not given.
@@ -773,7 +1150,7 @@ class BotAPI {
    * @see https://core.telegram.org/bots/api#editmessagemedia
    * @param {InputMedia} media Set InputMedia.media or InputMedia.thumb to Buffer for uploading a file.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkupp.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkupp.
    * @param {Number} [opts.chatID] Required if inlineMessageID is not given.
    * @param {Number} [opts.messageID] Required if inlineMessageID is not given.
    * @param {String} [opts.inlineMessageID] Required if chatID and inlineMessageID are not given.
@@ -815,7 +1192,7 @@ class BotAPI {
   /**
    * @see https://core.telegram.org/bots/api#editmessagereplymarkup
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkupp.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkupp.
    * @param {Number} [opts.chatID] Required if inlineMessageID is not given.
    * @param {Number} [opts.messageID] Required if inlineMessageID is not given.
    * @param {String} [opts.inlineMessageID] Required if chatID and inlineMessageID are not given.
@@ -838,7 +1215,7 @@ class BotAPI {
    * @param {(Number|String)} chatID Target Telegram chat ID.
    * @param {(Number|String)} messageID Target Telegram message ID.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkupp.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkupp.
    * @return {Promise<Poll>}
    */
   stopPoll(chatID, messageID, opts = {}) {
@@ -866,7 +1243,7 @@ class BotAPI {
    * @param {(Number|String)} chatID Target Telegram chat ID.
    * @param {(String|Object)} sticker File ID, sticker URL or InputFile.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @return {Promise<Message>}
    */
   sendSticker(chatID, sticker, opts = {}) {
@@ -1024,7 +1401,7 @@ class BotAPI {
    * @param {String} currency Three-letter ISO 4217 currency code.
    * @param {String} prices Price breakdown, a list of components.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @return {Promise<Message>}
    */
   sendInvoice(
@@ -1095,7 +1472,7 @@ class BotAPI {
    * @param {(Number|String)} chatID Target Telegram chat ID.
    * @param {String} gameShortName Short name of the game.
    * @param {Object} [opts] Optional Telegram patameters.
-   * @param {String} [opts.replyMarkup] JSON-serialized InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
+   * @param {(String|Object)} [opts.replyMarkup] JSON-serialized, plain Object or builder of InlineKeyboardMarkup or ReplyKeyboardMarkup or ReplyKeyboardRemove or ForceReply.
    * @return {Promise<Message>}
    */
   sendGame(chatID, gameShortName, opts = {}) {
@@ -0,0 +1,116 @@
+/**
+ * @module bot-callback-dispatcher
+ */
+
+import BotLogger from "./bot-logger.js";
+import {CallbackCodec, isFunction, isString} from "./bot-utils.js";
+
+/**
+ * @description Decode signed `callback_data` of callback queries and call
+ * handlers of actions, callback queries are always answered so clients stop
+ * showing progress.
+ * @example
+ * new BotCallbackDispatcher(botAPI, codec, opts)
+ */
+class BotCallbackDispatcher {
+  /**
+   * @param {BotAPI} botAPI
+   * @param {CallbackCodec} codec Codec used to encode `callback_data`.
+   * @param {Object} [opts] Optional arguments.
+   * @param {String} [opts.invalidText] Answer text for tampered data, default to answer without text.
+   * @param {BotLogger} [opts.botLogger] Pass a custom BotLogger.
+   * @return {BotCallbackDispatcher}
+   */
+  constructor(botAPI, codec, opts = {}) {
+    this.botAPI = botAPI;
+    if (!(codec instanceof CallbackCodec)) {
+      throw new TypeError("Expect a CallbackCodec as `codec`");
+    }
+    this.codec = codec;
+    this.invalidText = opts["invalidText"] || null;
+    this.botLogger = opts["botLogger"] || new BotLogger(false);
+    this.handlers = new Map();
+  }
+
+  /**
+   * @description Handle callback queries of action, handler is called with
+   * `(update, payload, answer)`. Call `answer(opts)` instead of
+   * `answerCallbackQuery()` to answer with options, otherwise it is answered
+   * without options after handler returns. If handler answers with BotAPI
+   * directly, the automatic answer fails and the failure is only logged.
+   * @param {String} name Action name passed to `codec.encode()`.
+   * @param {Function} handler
+   * @return {BotCallbackDispatcher}
+   */
+  action(name, handler) {
+    if (!isString(name)) {
+      throw new TypeError("Expect a String as `name`");
+    }
+    if (!isFunction(handler)) {
+      throw new TypeError("Expect a Function as `handler`");
+    }
+    this.handlers.set(name, handler);
+    return this;
+  }
+
+  /**
+   * @description Callback queries without data, with data not encoded by a
+   * CallbackCodec, or with unknown actions are left untouched, so other
+   * handlers can take them. Tampered ones are answered and ignored.
+   * @param {Update} update
+   * @return {Promise<Boolean>} Whether a handler is called.
+   */
+  async dispatch(update) {
+    const callbackQuery = update["callback_query"];
+    if (callbackQuery == null) {
+      return false;
+    }
+    let isAnswered = false;
+    const answer = async (opts = {}) => {
+      if (isAnswered) {
+        return true;
+      }
+      isAnswered = true;
+      return this.botAPI.answerCallbackQuery(callbackQuery["id"], opts);
+    };
+    if (!this.codec.isEncoded(callbackQuery["data"])) {
+      return false;
+    }
+    const decoded = this.codec.decode(callbackQuery["data"]);
+    if (decoded == null) {
+      this.botLogger.warn(
+        `Callback: Got tampered data from user ${callbackQuery["from"]["id"]}.`
+      );
+      await answer(this.invalidText != null ? {"text": this.invalidText} : {});
+      return false;
+    }
+    if (!this.handlers.has(decoded["action"])) {
+      return false;
+    }
+    let handlerError = null;
+    try {
+      await this.handlers.get(decoded["action"])(
+        update,
+        decoded["payload"],
+        answer
+      );
+    } catch (error) {
+      handlerError = error;
+    }
+    // Don't let a failed answer hide error of handler.
+    try {
+      await answer();
+    } catch (error) {
+      this.botLogger.warn(
+        `Callback: Failed to answer callback query ${callbackQuery["id"]}.`
+      );
+      this.botLogger.error(error);
+    }
+    if (handlerError != null) {
+      throw handlerError;
+    }
+    return true;
+  }
+}
+
+export default BotCallbackDispatcher;
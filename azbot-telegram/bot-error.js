@@ -0,0 +1,171 @@
+/**
+ * @module bot-error
+ */
+
+/**
+ * @description Base class of all errors thrown by BotAPI requests.
+ * @extends Error
+ * @example
+ * new BotError(message, opts)
+ */
+class BotError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [opts] Optional arguments.
+   * @param {String} [opts.method] Telegram Bot API method.
+   * @param {Object} [opts.params] Sanitized request parameters.
+   * @param {Error} [opts.cause] The original error.
+   * @return {BotError}
+   */
+  constructor(message, opts = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    /**
+     * @property {String} method Telegram Bot API method.
+     * @property {Object} params Sanitized request parameters.
+     * @property {Error} cause The original error.
+     */
+    this.method = opts["method"] || null;
+    this.params = opts["params"] || null;
+    this.cause = opts["cause"] || null;
+  }
+}
+
+/**
+ * @description Telegram returns a response with `ok` is `false`.
+ * @see https://core.telegram.org/bots/api#making-requests
+ * @extends BotError
+ * @example
+ * new TelegramError(data, opts)
+ */
+class TelegramError extends BotError {
+  /**
+   * @param {Object} data Telegram response object.
+   * @param {Object} [opts] Optional arguments, see BotError.
+   * @return {TelegramError}
+   */
+  constructor(data, opts = {}) {
+    super(
+      `Telegram Error: ${data["error_code"]} ${data["description"]}`,
+      opts
+    );
+    /**
+     * @property {Number} errorCode
+     * @property {String} description
+     * @property {Object} parameters ResponseParameters, may be empty.
+     * @property {Number} retryAfter Seconds to wait when flood control exceeded.
+     * @property {Number} migrateToChatID New ID of the migrated group.
+     */
+    this.errorCode = data["error_code"];
+    this.description = data["description"];
+    this.parameters = data["parameters"] || {};
+    this.retryAfter = this.parameters["retry_after"] || null;
+    this.migrateToChatID = this.parameters["migrate_to_chat_id"] || null;
+  }
+}
+
+/**
+ * @description Failed to send request or receive response.
+ * @extends BotError
+ * @example
+ * new NetworkError(message, opts)
+ */
+class NetworkError extends BotError {}
+
+/**
+ * @description Request or response does not finish in time.
+ * @extends NetworkError
+ * @example
+ * new TimeoutError(message, opts)
+ */
+class TimeoutError extends NetworkError {}
+
+/**
+ * @description Response body is not valid JSON, typically returned by a proxy.
+ * @extends BotError
+ * @example
+ * new ResponseError(message, opts)
+ */
+class ResponseError extends BotError {
+  /**
+   * @param {String} message
+   * @param {Object} [opts] Optional arguments, see BotError.
+   * @param {String} [opts.body] Raw response body.
+   * @return {ResponseError}
+   */
+  constructor(message, opts = {}) {
+    super(message, opts);
+    /**
+     * @property {String} body Raw response body.
+     */
+    this.body = opts["body"] || null;
+  }
+}
+
+/**
+ * @description Response has a non-2xx HTTP status, for requests which don't
+ * return Telegram's JSON like downloading files.
+ * @extends BotError
+ * @example
+ * new StatusError(message, opts)
+ */
+class StatusError extends BotError {
+  /**
+   * @param {String} message
+   * @param {Object} [opts] Optional arguments, see BotError.
+   * @param {Number} [opts.statusCode] HTTP status code.
+   * @return {StatusError}
+   */
+  constructor(message, opts = {}) {
+    super(message, opts);
+    /**
+     * @property {Number} statusCode HTTP status code.
+     */
+    this.statusCode = opts["statusCode"] || null;
+  }
+}
+
+/**
+ * @description Request is aborted by an AbortSignal.
+ * @extends BotError
+ * @example
+ * new AbortError(message, opts)
+ */
+class AbortError extends BotError {}
+
+/**
+ * @description A `waitFor()` of BotServant is stopped before a matched Update
+ * comes.
+ * @extends Error
+ * @example
+ * new WaitError(reason, opts)
+ */
+class WaitError extends Error {
+  /**
+   * @param {String} reason One of `timeout`, `cancel` and `remove`.
+   * @param {Object} [opts] Optional arguments.
+   * @param {Update} [opts.update] The Update which cancels waiting.
+   * @return {WaitError}
+   */
+  constructor(reason, opts = {}) {
+    super(`Wait Error: Stopped by ${reason}.`);
+    this.name = this.constructor.name;
+    /**
+     * @property {String} reason One of `timeout`, `cancel` and `remove`.
+     * @property {Update} update The Update which cancels waiting.
+     */
+    this.reason = reason;
+    this.update = opts["update"] || null;
+  }
+}
+
+export {
+  BotError,
+  TelegramError,
+  NetworkError,
+  TimeoutError,
+  ResponseError,
+  StatusError,
+  AbortError,
+  WaitError
+};
@@ -0,0 +1,216 @@
+/**
+ * @module bot-guard
+ */
+
+import {
+  getUpdateType,
+  getUpdateUser,
+  getUpdateChat,
+  isArray,
+  isFunction,
+  isString
+} from "./bot-utils.js";
+
+/**
+ * @description Check who can call handlers. A guard is an async Function
+ * returns `true` if the Update is allowed, use `protect()` to apply guards to
+ * handlers like commands of BotRouter.
+ * @example
+ * new BotGuard(botAPI, opts)
+ */
+class BotGuard {
+  /**
+   * @param {BotAPI} botAPI
+   * @param {Object} [opts] Optional arguments.
+   * @param {Number} [opts.adminCacheTTL=300000] Milliseconds to cache administrators of a chat.
+   * @param {(String|Function)} [opts.denial="You are not allowed to do this."] Default denial reply, see `protect()`.
+   * @return {BotGuard}
+   */
+  constructor(botAPI, opts = {}) {
+    this.botAPI = botAPI;
+    this.adminCacheTTL = opts["adminCacheTTL"] || 5 * 60 * 1000;
+    this.denial = opts["denial"] !== undefined
+      ? opts["denial"]
+      : "You are not allowed to do this.";
+    // Chat ID to `{time, userIDs}`.
+    this.adminCache = new Map();
+  }
+
+  /**
+   * @param {String[]} types Chat types like `private`, `group`, `supergroup`
+   * and `channel`.
+   * @return {Function} A guard allows Updates in chats of types.
+   */
+  chatTypes(types) {
+    if (!isArray(types)) {
+      throw new TypeError("Expect an Array as `types`");
+    }
+    return async (update) => {
+      const chat = getUpdateChat(update);
+      return chat != null && types.includes(chat["type"]);
+    };
+  }
+
+  /**
+   * @return {Function} A guard allows Updates in private chats.
+   */
+  privateChat() {
+    return this.chatTypes(["private"]);
+  }
+
+  /**
+   * @return {Function} A guard allows Updates in groups and supergroups.
+   */
+  groupChat() {
+    return this.chatTypes(["group", "supergroup"]);
+  }
+
+  /**
+   * @param {(Number[]|String[])} userIDs
+   * @return {Function} A guard allows Updates from users.
+   */
+  allowUsers(userIDs) {
+    if (!isArray(userIDs)) {
+      throw new TypeError("Expect an Array as `userIDs`");
+    }
+    const allowed = new Set(userIDs.map((userID) => {
+      return `${userID}`;
+    }));
+    return async (update) => {
+      const user = getUpdateUser(update);
+      return user != null && allowed.has(`${user["id"]}`);
+    };
+  }
+
+  /**
+   * @return {Function} A guard allows Updates from administrators of groups,
+   * including anonymous administrators.
+   */
+  groupAdmin() {
+    return async (update) => {
+      const chat = getUpdateChat(update);
+      if (chat == null || (chat["type"] !== "group" &&
+                           chat["type"] !== "supergroup")) {
+        return false;
+      }
+      // Anonymous administrators send messages on behalf of the group.
+      const message = update[getUpdateType(update)];
+      if (message["sender_chat"] != null &&
+          message["sender_chat"]["id"] === chat["id"]) {
+        return true;
+      }
+      const user = getUpdateUser(update);
+      if (user == null) {
+        return false;
+      }
+      const userIDs = await this.getAdminIDs(chat["id"]);
+      return userIDs.has(`${user["id"]}`);
+    };
+  }
+
+  /**
+   * @private
+   * @param {(Number|String)} chatID
+   * @return {Promise<Set>} User IDs of administrators.
+   */
+  async getAdminIDs(chatID) {
+    const key = `${chatID}`;
+    const now = Date.now();
+    const cache = this.adminCache.get(key);
+    if (cache != null && now - cache["time"] < this.adminCacheTTL) {
+      return cache["userIDs"];
+    }
+    const administrators = await this.botAPI.getChatAdministrators(chatID);
+    const userIDs = new Set(administrators.map((member) => {
+      return `${member["user"]["id"]}`;
+    }));
+    this.adminCache.set(key, {"time": now, userIDs});
+    // Drop expired caches, so chats the bot left won't stay forever.
+    for (const [key, cache] of this.adminCache) {
+      if (now - cache["time"] >= this.adminCacheTTL) {
+        this.adminCache.delete(key);
+      }
+    }
+    return userIDs;
+  }
+
+  /**
+   * @description Drop cached administrators, for example after promoting
+   * or demoting a member.
+   * @param {(Number|String)} [chatID] Drop all if not given.
+   */
+  clearAdminCache(chatID = null) {
+    if (chatID == null) {
+      this.adminCache.clear();
+    } else {
+      this.adminCache.delete(`${chatID}`);
+    }
+  }
+
+  /**
+   * @description Wrap a handler so it is only called if all guards allow the
+   * Update, otherwise reply a denial. Callback queries are answered with an
+   * alert, messages are replied with a message.
+   * @param {Function} handler Called with the same arguments if allowed.
+   * @param {Function[]} guards
+   * @param {Object} [opts] Optional arguments.
+   * @param {(String|Function)} [opts.denial] Denial text, or a Function
+   * called with `(update)` to reply by yourself, `null` to ignore silently.
+   * Default to `opts.denial` of BotGuard.
+   * @return {Function} An async Function returns result of handler, or
+   * `undefined` if denied.
+   */
+  protect(handler, guards, opts = {}) {
+    if (!isFunction(handler)) {
+      throw new TypeError("Expect a Function as `handler`");
+    }
+    if (!isArray(guards)) {
+      throw new TypeError("Expect an Array as `guards`");
+    }
+    const denial = opts["denial"] !== undefined
+      ? opts["denial"]
+      : this.denial;
+    return async (update, ...args) => {
+      for (const guard of guards) {
+        if (!(await guard(update))) {
+          await this.deny(update, denial);
+          return;
+        }
+      }
+      return handler(update, ...args);
+    };
+  }
+
+  /**
+   * @private
+   * @param {Update} update
+   * @param {(String|Function)} denial
+   */
+  async deny(update, denial) {
+    if (denial == null) {
+      return;
+    }
+    if (isFunction(denial)) {
+      await denial(update);
+      return;
+    }
+    if (!isString(denial)) {
+      throw new TypeError("Expect a String or Function as `denial`");
+    }
+    if (update["callback_query"] != null) {
+      await this.botAPI.answerCallbackQuery(update["callback_query"]["id"], {
+        "text": denial,
+        "showAlert": true
+      });
+      return;
+    }
+    const message = update["message"];
+    if (message != null) {
+      await this.botAPI.sendMessage(message["chat"]["id"], denial, {
+        "replyToMessageID": message["message_id"]
+      });
+    }
+  }
+}
+
+export default BotGuard;
@@ -3,8 +3,9 @@
  */
 
 import BotPoller from "./bot-poller.js";
+import BotWebhook from "./bot-webhook.js";
 import BotLogger from "./bot-logger.js";
-import {isFunction} from "./bot-utils.js";
+import {isFunction, isArray} from "./bot-utils.js";
 
 /**
  * @description Create BotServant per identifier.
@@ -18,8 +19,23 @@ class BotMaster {
    * @param {Function} identify Return identifier from Update.
    * @param {Object} [opts] Optional arguments.
    * @param {BotLogger} [opts.botLogger] Pass a custom BotLogger.
+   * @param {Number} [opts.destroyTimeout=300000] Remove servants that are not active for this milliseconds.
+   * @param {Number} [opts.evictInterval=60000] Milliseconds between checks of idle servants.
+   * @param {Number} [opts.maxServants] Max servants kept at the same time, remove the least recently active ones if exceeded.
    * @param {Number} [opts.pollingInterval] Polling interval.
+   * @param {Number} [opts.pollingTimeout] Seconds of long polling.
+   * @param {Number} [opts.pollingLimit] Max Updates of one batch.
+   * @param {String[]} [opts.allowedUpdates] Update types to receive.
    * @param {Boolean} [opts.skippingUpdates] Whether to skip initial Updates.
+   * @param {Object} [opts.offsetStore] Store for polling offset, see BotPoller.
+   * @param {Number} [opts.maxUpdateRetries] Retries of a failed Update, see BotPoller. A retried Update may be processed after following Updates of the same identifier.
+   * @param {Function} [opts.onDeadLetter] Called with a given up Update, see BotPoller.
+   * @param {String} [opts.deadLetterFile] Append given up Updates to this JSONL file.
+   * @param {Object} [opts.webhook] Receive Updates with BotWebhook instead of BotPoller, see BotWebhook for options.
+   * @param {Object} [opts.storage] Save servant states on removal and restore them on creation, see MemoryStorage and FileStorage.
+   * @param {(BotRouter|Object[])} [opts.commands] Publish commands with `setMyCommands()` on `loop()`, an Array of `{command, description, scope, languageCode}` or a BotRouter. Default to static `commands` of servant class.
+   * @param {Function} [opts.onError] Called with `(error, update, identifier)` if servant does not handle the error, `identifier` is `null` for errors before `identify()`. Throw in it to let BotPoller retry the Update. Default to log the error and continue.
+   * @param {Number} [opts.concurrency=16] Max Updates processed at the same time, Updates of the same identifier are always processed one by one in order.
    * @return {BotMaster}
    */
   constructor(botAPI, BotServant, identify, opts = {}) {
@@ -31,11 +47,59 @@ class BotMaster {
     this.identify = identify;
     this.botLogger = opts["botLogger"] || new BotLogger();
     this.destroyTimeout = opts["destroyTimeout"] || 5 * 60 * 1000;
-    this.botPoller = new BotPoller(this.botAPI, this.onUpdates.bind(this), {
-      "pollingInterval": opts["pollingInterval"],
-      "skippingUpdates": opts["skippingUpdates"],
-      "botLogger": this.botLogger
-    });
+    this.evictInterval = opts["evictInterval"] || 60 * 1000;
+    this.maxServants = opts["maxServants"] || Infinity;
+    this.evictTimerID = null;
+    this.isEvicting = false;
+    // Identifiers of servants that are never evicted.
+    this.pinned = new Set();
+    this.botPoller = null;
+    this.botWebhook = null;
+    if (opts["webhook"] != null) {
+      this.botWebhook = new BotWebhook(
+        this.botAPI,
+        this.onUpdates.bind(this),
+        Object.assign({
+          "allowedUpdates": opts["allowedUpdates"],
+          "botLogger": this.botLogger
+        }, opts["webhook"])
+      );
+    } else {
+      this.botPoller = new BotPoller(this.botAPI, this.onUpdates.bind(this), {
+        "pollingInterval": opts["pollingInterval"],
+        "timeout": opts["pollingTimeout"],
+        "limit": opts["pollingLimit"],
+        "allowedUpdates": opts["allowedUpdates"],
+        "skippingUpdates": opts["skippingUpdates"],
+        "offsetStore": opts["offsetStore"],
+        // Start all Updates of a batch at once, `enqueue()` keeps them in
+        // order and `acquire()` limits them, a pool here would make a busy
+        // identifier hold slots of others.
+        "concurrency": Infinity,
+        "maxUpdateRetries": opts["maxUpdateRetries"],
+        "onDeadLetter": opts["onDeadLetter"],
+        "deadLetterFile": opts["deadLetterFile"],
+        "botLogger": this.botLogger
+      });
+    }
+    this.storage = opts["storage"] || null;
+    this.commands = opts["commands"] || this.BotServant.commands || null;
+    this.errorHandler = opts["onError"] || null;
+    // Middlewares before `identify()` and in the queue of identifier.
+    this.middlewares = [];
+    this.queueMiddlewares = [];
+    if (this.errorHandler != null && !isFunction(this.errorHandler)) {
+      throw new TypeError("Expect a Function as `opts['onError']`");
+    }
+    this.concurrency = opts["concurrency"] || 16;
+    // Count of running tasks and resolvers of tasks waiting for a slot.
+    this.running = 0;
+    this.waiting = [];
+    // Identifier to the tail Promise of its processing queue.
+    this.lanes = new Map();
+    // Running `onUpdates()` calls, waited before removing servants on exit.
+    this.batches = new Set();
+    this.isStopping = false;
     this.bots = {};
     this.botID = null;
     this.botName = null;
@@ -51,12 +115,16 @@ class BotMaster {
     const stopCallback = opts["stopCallback"] || null;
     // If we close all scheduled works, Node.js will exit automatically.
     const cleanup = async () => {
-      this.botPoller.stopPollUpdates();
-      for (const [identifier, bot] of Object.entries(this.bots)) {
-        if (isFunction(bot["instance"].onRemove)) {
-          await bot["instance"].onRemove();
-        }
-        delete this.bots[identifier];
+      if (this.isStopping) {
+        return;
+      }
+      this.isStopping = true;
+      this.stopEvictTimer();
+      await this.stopReceiveUpdates();
+      // Servants may still be processing, don't save them in the middle.
+      await this.waitForUpdates();
+      for (const identifier of Object.keys(this.bots)) {
+        await this.removeServant(identifier);
       }
       this.botLogger.debug(`${this.botName}#${this.botID}: I am exiting…`);
       if (isFunction(stopCallback)) {
@@ -69,6 +137,10 @@ class BotMaster {
     // So we just call cleanup on SIGINT and SIGTERM to make a graceful exit.
     process.on("SIGINT", cleanup);
     process.on("SIGTERM", cleanup);
+    // Poller already logged the reason, just exit.
+    if (this.botPoller != null) {
+      this.botPoller.on("fatal", cleanup);
+    }
     if (isFunction(startCallback)) {
       await startCallback();
     }
@@ -85,47 +157,613 @@ class BotMaster {
       }
       return;
     }
-    this.botPoller.startPollUpdates();
+    try {
+      await this.syncCommands();
+    } catch (error) {
+      // Bot still works without command list, so don't exit.
+      this.botLogger.warn("Master: Failed to sync commands.");
+      this.botLogger.error(error);
+    }
+    this.startEvictTimer();
+    try {
+      await this.startReceiveUpdates();
+    } catch (error) {
+      this.stopEvictTimer();
+      this.botLogger.warn("Master: Failed to receive updates, exit.");
+      this.botLogger.error(error);
+      if (isFunction(stopCallback)) {
+        await stopCallback();
+      }
+    }
   }
 
   /**
    * @private
-   * @param {Update[]} updates
+   * @description Start BotWebhook or BotPoller.
    */
-  async onUpdates(updates) {
-    const now = Date.now();
-    for (const update of updates) {
-      const identifier = this.identify(update);
-      if (this.bots[identifier] == null) {
-        this.bots[identifier] = {
-          "lastActiveTime": 0,
-          "instance": new this.BotServant(
-            this.botAPI, identifier, this.botID, this.botName
-          )
-        };
-        this.botLogger.debug(
-          `${this.botName}#${this.botID}: ` +
-          `Creating instance for identifier ${identifier}…`
-        );
-        if (isFunction(this.bots[identifier]["instance"].onCreate)) {
-          await this.bots[identifier]["instance"].onCreate();
-        }
+  async startReceiveUpdates() {
+    if (this.botWebhook != null) {
+      await this.botWebhook.startListenUpdates();
+    } else {
+      await this.botPoller.startPollUpdates();
+    }
+  }
+
+  /**
+   * @private
+   * @description Stop BotWebhook or BotPoller.
+   */
+  async stopReceiveUpdates() {
+    if (this.botWebhook != null) {
+      await this.botWebhook.stopListenUpdates();
+    } else {
+      this.botPoller.stopPollUpdates();
+    }
+  }
+
+  /**
+   * @private
+   * @description Wait until running Updates and queued tasks are finished.
+   */
+  async waitForUpdates() {
+    while (this.batches.size > 0 || this.lanes.size > 0) {
+      await Promise.allSettled([...this.batches, ...this.lanes.values()]);
+    }
+  }
+
+  /**
+   * @description Publish `opts.commands` to Telegram, grouped by scope and
+   * language. `setMyCommands()` is only called if `getMyCommands()` returns
+   * a different list.
+   */
+  async syncCommands() {
+    let commands = this.commands;
+    if (commands == null) {
+      return;
+    }
+    if (isFunction(commands.getCommands)) {
+      commands = commands.getCommands();
+    }
+    if (!isArray(commands)) {
+      throw new TypeError("Expect a BotRouter or an Array as `commands`");
+    }
+    const groups = new Map();
+    for (const command of commands) {
+      const scope = command["scope"] || null;
+      const languageCode = command["languageCode"] || null;
+      const key = JSON.stringify([scope, languageCode]);
+      if (!groups.has(key)) {
+        groups.set(key, {scope, languageCode, "commands": []});
+      }
+      groups.get(key)["commands"].push({
+        "command": command["command"],
+        "description": command["description"]
+      });
+    }
+    for (const {scope, languageCode, commands} of groups.values()) {
+      const opts = {};
+      if (scope != null) {
+        opts["scope"] = scope;
+      }
+      if (languageCode != null) {
+        opts["languageCode"] = languageCode;
+      }
+      const current = await this.botAPI.getMyCommands(opts);
+      const isSame = current.length === commands.length &&
+        current.every((command, i) => {
+          return command["command"] === commands[i]["command"] &&
+            command["description"] === commands[i]["description"];
+        });
+      if (isSame) {
+        continue;
+      }
+      this.botLogger.debug(
+        `${this.botName}#${this.botID}: ` +
+        `Setting ${commands.length} commands for ${JSON.stringify(opts)}…`
+      );
+      await this.botAPI.setMyCommands(commands, opts);
+    }
+  }
+
+  /**
+   * @description Pinned servant is never evicted for idle or `maxServants`,
+   * but still removed on exit.
+   * @param {String} identifier
+   */
+  pinServant(identifier) {
+    this.pinned.add(identifier);
+  }
+
+  /**
+   * @param {String} identifier
+   */
+  unpinServant(identifier) {
+    this.pinned.delete(identifier);
+  }
+
+  /**
+   * @private
+   * @description Check idle servants periodically, so they are removed even
+   * if no Update comes.
+   */
+  startEvictTimer() {
+    if (this.evictTimerID != null) {
+      return;
+    }
+    this.evictTimerID = setInterval(async () => {
+      // Don't start another check if the last one is still saving states.
+      if (this.isEvicting) {
+        return;
+      }
+      this.isEvicting = true;
+      try {
+        await this.removeIdleServants();
+      } catch (error) {
+        this.botLogger.warn("Master: Failed to remove idle servants.");
+        this.botLogger.error(error);
+      } finally {
+        this.isEvicting = false;
+      }
+    }, this.evictInterval);
+  }
+
+  /**
+   * @private
+   */
+  stopEvictTimer() {
+    if (this.evictTimerID != null) {
+      clearInterval(this.evictTimerID);
+      this.evictTimerID = null;
+    }
+  }
+
+  /**
+   * @private
+   * @description Wait for a free slot under `concurrency`.
+   * @return {Promise}
+   */
+  acquire() {
+    if (this.running < this.concurrency) {
+      ++this.running;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.waiting.push(resolve);
+    });
+  }
+
+  /**
+   * @private
+   * @description Pass the slot to the next waiting task.
+   */
+  release() {
+    if (this.waiting.length > 0) {
+      this.waiting.shift()();
+    } else {
+      --this.running;
+    }
+  }
+
+  /**
+   * @private
+   * @description Run task after previous tasks of the same identifier.
+   * @param {String} identifier
+   * @param {Function} task A Function returns Promise.
+   * @return {Promise} Result of task.
+   */
+  enqueue(identifier, task) {
+    const last = this.lanes.get(identifier) || Promise.resolve();
+    const current = last.then(task);
+    // A failed task should not block following tasks.
+    const tail = current.catch(() => {});
+    this.lanes.set(identifier, tail);
+    tail.then(() => {
+      if (this.lanes.get(identifier) === tail) {
+        this.lanes.delete(identifier);
+      }
+    });
+    return current;
+  }
+
+  /**
+   * @private
+   * @param {String} identifier
+   */
+  async createServant(identifier) {
+    await this.evictLeastActiveServants(Object.keys(this.bots).length + 1);
+    this.bots[identifier] = {
+      "lastActiveTime": Date.now(),
+      // Running `processUpdate()` calls which are waiting for Updates.
+      "flows": new Set(),
+      "instance": new this.BotServant(
+        this.botAPI, identifier, this.botID, this.botName
+      )
+    };
+    this.botLogger.debug(
+      `${this.botName}#${this.botID}: ` +
+      `Creating instance for identifier ${identifier}…`
+    );
+    await this.restoreServant(identifier);
+    if (isFunction(this.bots[identifier]["instance"].onCreate)) {
+      await this.bots[identifier]["instance"].onCreate();
+    }
+  }
+
+  /**
+   * @private
+   * @param {String} identifier
+   */
+  async removeServant(identifier) {
+    const bot = this.bots[identifier];
+    if (bot == null) {
+      return;
+    }
+    delete this.bots[identifier];
+    this.botLogger.debug(
+      `${this.botName}#${this.botID}: ` +
+      `Removing instance for identifier ${identifier}…`
+    );
+    if (isFunction(bot["instance"].cancelWaiters)) {
+      bot["instance"].cancelWaiters("remove");
+    }
+    await this.saveServant(identifier, bot["instance"]);
+    if (isFunction(bot["instance"].onRemove)) {
+      await bot["instance"].onRemove();
+    }
+  }
+
+  /**
+   * @private
+   * @description Load saved state from storage and pass it to servant.
+   * @param {String} identifier
+   */
+  async restoreServant(identifier) {
+    const instance = this.bots[identifier]["instance"];
+    if (this.storage == null || !isFunction(instance.restore)) {
+      return;
+    }
+    let state;
+    try {
+      state = await this.storage.get(identifier);
+    } catch (error) {
+      // Start with a fresh servant instead of dropping the Update.
+      this.botLogger.warn(
+        `Master: Failed to load state for identifier ${identifier}.`
+      );
+      this.botLogger.error(error);
+      return;
+    }
+    if (state != null) {
+      await instance.restore(state);
+    }
+  }
+
+  /**
+   * @private
+   * @description Save state of servant to storage.
+   * @param {String} identifier
+   * @param {BotServant} instance
+   */
+  async saveServant(identifier, instance) {
+    if (this.storage == null || !isFunction(instance.serialize)) {
+      return;
+    }
+    try {
+      const state = await instance.serialize();
+      if (state != null) {
+        await this.storage.set(identifier, state);
+      } else {
+        await this.storage.delete(identifier);
       }
-      await this.bots[identifier]["instance"].processUpdate(update);
-      this.bots[identifier]["lastActiveTime"] = now;
+    } catch (error) {
+      // Still remove the servant, or it will never be removed.
+      this.botLogger.warn(
+        `Master: Failed to save state for identifier ${identifier}.`
+      );
+      this.botLogger.error(error);
     }
-    if (this.destroyTimeout != null) {
-      for (const [identifier, bot] of Object.entries(this.bots)) {
-        if (now - bot["lastActiveTime"] > this.destroyTimeout) {
-          if (isFunction(bot["instance"].onRemove)) {
-            await bot["instance"].onRemove();
+  }
+
+  /**
+   * @private
+   * @param {String} identifier
+   * @param {Update} update
+   */
+  async handleUpdate(identifier, update) {
+    await this.acquire();
+    try {
+      let isCreated = true;
+      try {
+        await this.runMiddlewares(this.queueMiddlewares, update, async () => {
+          if (this.bots[identifier] == null) {
+            isCreated = false;
+            await this.createServant(identifier);
+            isCreated = true;
           }
-          this.botLogger.debug(
-            `${this.botName}#${this.botID}: ` +
-            `Removing instance for identifier ${identifier}…`
-          );
+          const bot = this.bots[identifier];
+          bot["lastActiveTime"] = Date.now();
+          await this.runServant(identifier, bot, update);
+          bot["lastActiveTime"] = Date.now();
+        });
+      } catch (error) {
+        const bot = this.bots[identifier];
+        // Servant failed in `onCreate()`, create it again for next Update.
+        if (!isCreated && bot != null) {
           delete this.bots[identifier];
         }
+        await this.handleError(
+          identifier,
+          update,
+          error,
+          bot != null ? bot["instance"] : null
+        );
+      }
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * @description Add a middleware called with `(update, next)` for every
+   * Update before `identify()`, middlewares are called in order of adding.
+   * `next()` calls the next middleware and resolves after the Update is
+   * processed, don't call it to drop the Update. Updates of one batch run
+   * through middlewares concurrently, so awaiting before `next()` may change
+   * the order of Updates of the same identifier, use `useInQueue()` if the
+   * order matters. Errors thrown by middlewares are passed to `opts.onError`
+   * without servant.
+   * @param {Function} middleware An async Function like `(update, next) => {}`.
+   * @return {BotMaster} This BotMaster, so calls can be chained.
+   */
+  use(middleware) {
+    if (!isFunction(middleware)) {
+      throw new TypeError("Expect a Function as `middleware`");
+    }
+    this.middlewares.push(middleware);
+    return this;
+  }
+
+  /**
+   * @description Like `use()`, but the middleware runs after `identify()` in
+   * the queue of the identifier, so Updates of the same identifier go through
+   * it one by one in order. Errors thrown by it are handled like errors of
+   * servants.
+   * @param {Function} middleware An async Function like `(update, next) => {}`.
+   * @return {BotMaster} This BotMaster, so calls can be chained.
+   */
+  useInQueue(middleware) {
+    if (!isFunction(middleware)) {
+      throw new TypeError("Expect a Function as `middleware`");
+    }
+    this.queueMiddlewares.push(middleware);
+    return this;
+  }
+
+  /**
+   * @private
+   * @param {Function[]} middlewares
+   * @param {Update} update
+   * @param {Function} handler Called after all middlewares.
+   * @return {Promise}
+   */
+  runMiddlewares(middlewares, update, handler) {
+    let index = -1;
+    const dispatch = async (i) => {
+      if (i <= index) {
+        throw new Error("`next()` is called multiple times");
+      }
+      index = i;
+      if (i === middlewares.length) {
+        return handler();
+      }
+      return middlewares[i](update, dispatch.bind(this, i + 1));
+    };
+    return dispatch(0);
+  }
+
+  /**
+   * @private
+   * @description Pass Update to a waiter of servant or `processUpdate()`.
+   * If servant starts waiting with `waitFor()`, return without waiting for
+   * `processUpdate()` so the next Update can be passed to the waiter, and
+   * the rest of `processUpdate()` runs in background.
+   * @param {String} identifier
+   * @param {Object} bot
+   * @param {Update} update
+   */
+  async runServant(identifier, bot, update) {
+    const instance = bot["instance"];
+    if (!isFunction(instance.waitSuspension)) {
+      await instance.processUpdate(update);
+      return;
+    }
+    const suspension = instance.waitSuspension().then(() => {
+      return null;
+    });
+    if (instance.feedWaiters(update)) {
+      // Wait until the resumed flow finishes or waits again, so following
+      // Updates are still processed in order.
+      if (bot["flows"].size > 0) {
+        await Promise.race([suspension, ...bot["flows"]]);
+      }
+      return;
+    }
+    const flow = Promise.resolve().then(() => {
+      return instance.processUpdate(update);
+    }).then(() => {
+      return {};
+    }, (error) => {
+      return {error};
+    });
+    const result = await Promise.race([suspension, flow]);
+    if (result != null) {
+      if (result["error"] != null) {
+        throw result["error"];
+      }
+      return;
+    }
+    bot["flows"].add(flow);
+    flow.then(async (result) => {
+      bot["flows"].delete(flow);
+      if (result["error"] == null) {
+        return;
+      }
+      try {
+        await this.handleError(identifier, update, result["error"], instance);
+      } catch (error) {
+        // Nobody waits for this flow, so we could only log it.
+        this.botLogger.warn(
+          `Master: Failed to handle error for identifier ${identifier}.`
+        );
+        this.botLogger.error(error);
+      }
+    });
+  }
+
+  /**
+   * @private
+   * @description Pass error to `onError()` of servant, then `opts.onError`
+   * if servant throws it again, then log it.
+   * @param {String} identifier
+   * @param {Update} update
+   * @param {Error} error
+   * @param {BotServant} instance `null` if servant is not created.
+   */
+  async handleError(identifier, update, error, instance) {
+    if (instance != null && isFunction(instance.onError)) {
+      try {
+        await instance.onError(error, update);
+        return;
+      } catch (servantError) {
+        error = servantError;
+      }
+    }
+    if (this.errorHandler != null) {
+      await this.errorHandler(error, update, identifier);
+      return;
+    }
+    this.botLogger.warn(
+      `${this.botName}#${this.botID}: ` +
+      `Failed to process update ${update["update_id"]}` +
+      (identifier != null ? ` for identifier ${identifier}.` : ".")
+    );
+    this.botLogger.error(error);
+  }
+
+  /**
+   * @private
+   * @param {String} identifier
+   * @return {Boolean} Servants which are pinned or still have Updates to
+   * process should not be evicted.
+   */
+  isEvictable(identifier) {
+    return !this.pinned.has(identifier) && !this.lanes.has(identifier);
+  }
+
+  /**
+   * @private
+   * @description Remove servant in its queue, so a following Update creates
+   * a new servant after the state is saved.
+   * @param {String} identifier
+   * @return {Promise}
+   */
+  evictServant(identifier) {
+    return this.enqueue(identifier, async () => {
+      if (this.bots[identifier] != null && !this.pinned.has(identifier)) {
+        await this.removeServant(identifier);
+      }
+    });
+  }
+
+  /**
+   * @private
+   * @description Remove servants that are not active for `destroyTimeout`.
+   */
+  async removeIdleServants() {
+    if (this.destroyTimeout == null) {
+      return;
+    }
+    const now = Date.now();
+    for (const [identifier, bot] of Object.entries(this.bots)) {
+      if (this.isEvictable(identifier) &&
+          now - bot["lastActiveTime"] > this.destroyTimeout) {
+        await this.evictServant(identifier);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @description Remove least recently active servants until there are at
+   * most `maxServants` servants after adding `count` ones. Busy and pinned
+   * servants are skipped, so the limit may be exceeded for a while.
+   * @param {Number} count Expected count of servants.
+   */
+  async evictLeastActiveServants(count) {
+    if (count <= this.maxServants) {
+      return;
+    }
+    const identifiers = Object.keys(this.bots).filter((identifier) => {
+      return this.isEvictable(identifier);
+    }).sort((a, b) => {
+      return this.bots[a]["lastActiveTime"] - this.bots[b]["lastActiveTime"];
+    });
+    for (const identifier of identifiers.slice(0, count - this.maxServants)) {
+      await this.evictServant(identifier);
+    }
+  }
+
+  /**
+   * @private
+   * @description Run middlewares, then identify the Update and queue it.
+   * @param {Update} update
+   */
+  async receiveUpdate(update) {
+    let identifier = null;
+    let queueError = null;
+    try {
+      // Without middlewares this is called synchronously, so Updates are
+      // queued in order.
+      await this.runMiddlewares(this.middlewares, update, () => {
+        identifier = this.identify(update);
+        return this.enqueue(
+          identifier,
+          this.handleUpdate.bind(this, identifier, update)
+        ).catch((error) => {
+          queueError = error;
+          throw error;
+        });
+      });
+    } catch (error) {
+      // Errors of the queue are already handled, they are thrown on purpose.
+      if (error === queueError) {
+        throw error;
+      }
+      await this.handleError(identifier, update, error, null);
+    }
+  }
+
+  /**
+   * @private
+   * @description Updates of different identifiers are processed concurrently.
+   * @param {Update[]} updates
+   * @return {Promise} Resolves after all Updates are processed, rejects with
+   * the first error after all Updates are settled.
+   */
+  async onUpdates(updates) {
+    // Reject so they are received again on next start.
+    if (this.isStopping) {
+      throw new Error("Master is stopping");
+    }
+    const batch = Promise.allSettled(
+      updates.map(this.receiveUpdate.bind(this))
+    );
+    this.batches.add(batch);
+    const results = await batch;
+    this.batches.delete(batch);
+    for (const result of results) {
+      if (result["status"] === "rejected") {
+        throw result["reason"];
       }
     }
   }
@@ -0,0 +1,81 @@
+/**
+ * @module bot-offset-store
+ */
+
+import * as fs from "node:fs";
+import {writeJSONFile} from "./bot-utils.js";
+
+/**
+ * @description Keep polling offset in memory, offset is lost on restart.
+ * Custom stores only need the same `load()` and `save()` methods.
+ * @example
+ * new MemoryOffsetStore()
+ */
+class MemoryOffsetStore {
+  /**
+   * @param {Number} [offset] Initial offset.
+   * @return {MemoryOffsetStore}
+   */
+  constructor(offset = null) {
+    this.offset = offset;
+  }
+
+  /**
+   * @return {Promise<Number>} Saved offset, `null` if nothing saved.
+   */
+  async load() {
+    return this.offset;
+  }
+
+  /**
+   * @param {Number} offset
+   */
+  async save(offset) {
+    this.offset = offset;
+  }
+}
+
+/**
+ * @description Keep polling offset in a JSON file.
+ * @example
+ * new FileOffsetStore(filepath)
+ */
+class FileOffsetStore {
+  /**
+   * @param {String} filepath Path of JSON file, parent directory is created
+   * if not exists.
+   * @return {FileOffsetStore}
+   */
+  constructor(filepath) {
+    this.filepath = filepath;
+  }
+
+  /**
+   * @return {Promise<Number>} Saved offset, `null` if file does not exist.
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filepath, "utf8");
+    } catch (error) {
+      if (error["code"] === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+    const offset = JSON.parse(content)["offset"];
+    return offset != null ? offset : null;
+  }
+
+  /**
+   * @param {Number} offset
+   */
+  async save(offset) {
+    await writeJSONFile(this.filepath, {offset});
+  }
+}
+
+export {
+  MemoryOffsetStore,
+  FileOffsetStore
+};
@@ -2,40 +2,88 @@
  * @module bot-poller
  */
 
+import * as fs from "node:fs";
+import * as path from "node:path";
+import {EventEmitter} from "node:events";
 import BotLogger from "./bot-logger.js";
-import {isFunction} from "./bot-utils.js";
+import {TelegramError} from "./bot-error.js";
+import {isFunction, sleep} from "./bot-utils.js";
 
 /**
- * @description A Poller that automatically run `getUpdates()` and call `onUpdates()`.
+ * @description A Poller that automatically run `getUpdates()` and call `onUpdates()`,
+ * or yields Updates with `updates()`.
+ * It emits `fatal` with the error when polling stops because of a error that
+ * won't go away by retrying, like invalid token or conflicts.
+ * @extends EventEmitter
  * @example
  * new BotPoller(botAPI, onUpdates, opts)
+ * @example
+ * for await (const update of new BotPoller(botAPI).updates({signal})) {}
  */
-class BotPoller {
+class BotPoller extends EventEmitter {
   /**
    * @param {BotAPI} botAPI
-   * @param {Function} onUpdates A callback Function to process Updates.
+   * @param {Function} [onUpdates] A callback Function to process Updates, only needed by `startPollUpdates()`. It is called with one Update each time, like `onUpdates([update])`, so a failed Update won't make others handled again. A failed Update is retried after a cool down, if `opts.concurrency` is more than 1, Updates after it may be handled before the retry.
    * @param {Object} [opts] Optional arguments.
-   * @param {Number} [opts.pollingInterval=1500] Polling interval.
-   * @param {Boolean} [opts.skippingUpdates=true] Whether to skip initial Updates.
+   * @param {Number} [opts.timeout=30] Seconds of long polling, `0` for short polling.
+   * @param {Number} [opts.pollingInterval=1500] Polling interval when short polling got no Updates.
+   * @param {Number} [opts.limit] Max Updates of one batch, 1-100.
+   * @param {String[]} [opts.allowedUpdates] Update types to receive, Telegram remembers it until next change.
+   * @param {Boolean} [opts.skippingUpdates=true] Whether to skip initial Updates, ignored if `opts.offsetStore` has a saved offset.
+   * @param {Object} [opts.offsetStore] Load offset on start and save it after handling Updates, see MemoryOffsetStore and FileOffsetStore.
+   * @param {Number} [opts.coolDownInterval=1000] First cool down interval after a failure, doubled for each following failure.
+   * @param {Number} [opts.maxCoolDownInterval=60000] Max cool down interval.
+   * @param {Boolean} [opts.deleteWebhookOnConflict=false] Delete webhook and continue polling if a webhook is set, otherwise stop.
+   * @param {Boolean} [opts.stopOnConflict=true] Stop if another poller is running, otherwise cool down and retry.
+   * @param {Number} [opts.concurrency=1] Max `onUpdates()` calls running at the same time, they are started in order of Updates. An Update cooling down before retry still takes a slot.
+   * @param {Number} [opts.maxUpdateRetries=3] If `onUpdates()` throws, the Update is retried this many times before given up.
+   * @param {Function} [opts.onDeadLetter] Called with `(update, error)` for an Update given up.
+   * @param {String} [opts.deadLetterFile] Append given up Updates to this JSONL file.
    * @param {BotLogger} [opts.botLogger] Pass a custom BotLogger.
    * @return {BotPoller}
    */
   constructor(botAPI, onUpdates, opts = {}) {
+    super();
     this.botAPI = botAPI;
-    if (!isFunction(onUpdates)) {
+    if (onUpdates != null && !isFunction(onUpdates)) {
       throw new TypeError("Expect a Function as `onUpdates`");
     }
-    this.onUpdates = onUpdates;
+    this.onUpdates = onUpdates || null;
     this.pollingInterval = opts["pollingInterval"] || 1500;
-    this.coolDownInterval = 6000;
+    this.coolDownInterval = opts["coolDownInterval"] || 1000;
+    this.maxCoolDownInterval = opts["maxCoolDownInterval"] || 60000;
+    this.deleteWebhookOnConflict = opts["deleteWebhookOnConflict"] || false;
+    this.stopOnConflict = opts["stopOnConflict"] == null
+      ? true
+      : opts["stopOnConflict"];
+    // Count continuous failures for backoff.
+    this.failures = 0;
+    this.concurrency = opts["concurrency"] || 1;
+    this.maxUpdateRetries = opts["maxUpdateRetries"] != null
+      ? opts["maxUpdateRetries"]
+      : 3;
+    if (opts["onDeadLetter"] != null && !isFunction(opts["onDeadLetter"])) {
+      throw new TypeError("Expect a Function as `opts['onDeadLetter']`");
+    }
+    this.onDeadLetter = opts["onDeadLetter"] || null;
+    this.deadLetterFile = opts["deadLetterFile"] || null;
     this.skippingUpdates = opts["skippingUpdates"];
+    this.offsetStore = opts["offsetStore"] || null;
     this.botLogger = opts["botLogger"] || new BotLogger(false);
     this.isPolling = false;
     this.pollingID = null;
+    // Abort the pending long polling request on stop.
+    this.abortController = null;
     this.pollingParam = {
       "offset": 0,
-      "timeout": 1
+      "timeout": opts["timeout"] != null ? opts["timeout"] : 30
     };
+    if (opts["limit"] != null) {
+      this.pollingParam["limit"] = opts["limit"];
+    }
+    if (opts["allowedUpdates"] != null) {
+      this.pollingParam["allowedUpdates"] = opts["allowedUpdates"];
+    }
   }
 
   /**
@@ -44,9 +92,15 @@ class BotPoller {
    * @return {Promise<Update[]>}
    */
   async skipUpdates() {
-    this.pollingParam["offset"] = -1;
+    // Use the same filter, otherwise it resets `allowed_updates` and the last
+    // Update may be one we don't want.
+    const param = Object.assign({}, this.pollingParam, {
+      "offset": -1,
+      "timeout": 0,
+      "limit": 1
+    });
     try {
-      const updates = await this.botAPI.getUpdates(this.pollingParam);
+      const updates = await this.botAPI.getUpdates(param);
       // Should be only one or zero update here because we set offset to `-1`.
       if (updates.length > 0) {
         this.pollingParam["offset"] = updates[0]["update_id"] + 1;
@@ -57,21 +111,335 @@ class BotPoller {
     }
   }
 
+  /**
+   * @private
+   * @description Load saved offset or skip Updates before polling.
+   */
+  async prepareOffset() {
+    const offset = await this.loadOffset();
+    if (offset != null) {
+      // Resume from where we stopped.
+      this.pollingParam["offset"] = offset;
+    } else if (this.skippingUpdates == null ||
+               this.skippingUpdates === true) {
+      // By default we skip Updates.
+      await this.skipUpdates();
+      await this.saveOffset();
+    }
+  }
+
+  /**
+   * @private
+   * @return {AbortController} `null` if not supported, Node.js 14 does not
+   * have it, so a running request cannot be aborted there.
+   */
+  createAbortController() {
+    const AbortController = globalThis["AbortController"];
+    return AbortController != null ? new AbortController() : null;
+  }
+
   /**
    * @return {Boolean} Polling or not.
    */
   async startPollUpdates() {
+    if (this.onUpdates == null) {
+      throw new TypeError("Expect a Function as `onUpdates`");
+    }
     if (!this.isPolling) {
-      // By default we skip Updates.
-      if (this.skippingUpdates == null || this.skippingUpdates === true) {
-        await this.skipUpdates();
-      }
+      await this.prepareOffset();
       this.isPolling = true;
+      this.abortController = this.createAbortController();
       this.pollUpdates();
     }
     return this.isPolling;
   }
 
+  /**
+   * @description Poll Updates as an async iterator, a new `getUpdates()` is
+   * only sent after all Updates of last batch are pulled, and offset of an
+   * Update is committed after the consumer pulls the next one or leaves the
+   * loop. It ends when the signal aborts or `stopPollUpdates()` is called.
+   * Don't use it with `startPollUpdates()` at the same time.
+   * @example
+   * for await (const update of botPoller.updates({signal})) {}
+   * @param {Object} [opts] Optional arguments.
+   * @param {AbortSignal} [opts.signal] Stop polling when aborted.
+   * @return {AsyncGenerator<Update>}
+   */
+  async *updates(opts = {}) {
+    if (this.isPolling) {
+      throw new Error("Poller is already polling");
+    }
+    const signal = opts["signal"] || null;
+    if (signal != null && signal.aborted) {
+      return;
+    }
+    this.isPolling = true;
+    const abortController = this.createAbortController();
+    this.abortController = abortController;
+    const abortSignal = abortController != null
+      ? abortController.signal
+      : null;
+    const onAbort = () => {
+      this.stopPollUpdates();
+    };
+    if (signal != null) {
+      signal.addEventListener("abort", onAbort);
+    }
+    const botAPI = this.botAPI.withOptions({"signal": abortSignal});
+    try {
+      await this.prepareOffset();
+      while (this.isPolling) {
+        this.botLogger.debug(
+          `Poller: Polling updates since offset ${this.pollingParam["offset"]}…`
+        );
+        let updates;
+        try {
+          updates = await botAPI.getUpdates(this.pollingParam);
+          this.failures = 0;
+        } catch (error) {
+          if (!this.isPolling) {
+            break;
+          }
+          const interval = await this.handlePollingError(error);
+          if (interval == null) {
+            break;
+          }
+          await sleep(interval, abortSignal);
+          continue;
+        }
+        if (updates.length === 0 && this.pollingParam["timeout"] === 0) {
+          await sleep(this.pollingInterval, abortSignal);
+        }
+        for (const update of updates) {
+          if (!this.isPolling) {
+            break;
+          }
+          try {
+            yield update;
+          } finally {
+            // Reached when the consumer pulls the next one or leaves.
+            this.pollingParam["offset"] = update["update_id"] + 1;
+            await this.saveOffset();
+          }
+        }
+      }
+    } finally {
+      if (signal != null) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      // Only stop if nobody restarted polling.
+      if (this.abortController === abortController) {
+        this.stopPollUpdates();
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @return {Promise<Number>} Saved offset, `null` if no store or not saved.
+   */
+  async loadOffset() {
+    if (this.offsetStore == null) {
+      return null;
+    }
+    try {
+      return await this.offsetStore.load();
+    } catch (error) {
+      this.botLogger.warn("Poller: Failed to load offset.");
+      this.botLogger.error(error);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   * @description Save current offset, failures are only logged because
+   * Telegram also remembers the offset while we are running.
+   */
+  async saveOffset() {
+    if (this.offsetStore == null) {
+      return;
+    }
+    try {
+      await this.offsetStore.save(this.pollingParam["offset"]);
+    } catch (error) {
+      this.botLogger.warn("Poller: Failed to save offset.");
+      this.botLogger.error(error);
+    }
+  }
+
+  /**
+   * @private
+   * @return {Number} Backoff with jitter for current failures.
+   */
+  getCoolDownInterval() {
+    const interval = Math.min(
+      this.maxCoolDownInterval,
+      this.coolDownInterval * 2 ** (this.failures - 1)
+    );
+    // Equal jitter, so many bots won't retry at the same time.
+    return Math.round(interval / 2 + Math.random() * interval / 2);
+  }
+
+  /**
+   * @private
+   * @description Stop polling and emit `fatal`.
+   * @param {Error} error
+   * @param {String} message
+   */
+  fatal(error, message) {
+    this.stopPollUpdates();
+    this.botLogger.warn(message);
+    this.botLogger.error(error);
+    this.emit("fatal", error);
+  }
+
+  /**
+   * @private
+   * @param {Error} error Error of `getUpdates()`.
+   * @return {Promise<Number>} Milliseconds before next polling, `null` if
+   * polling is stopped.
+   */
+  async handlePollingError(error) {
+    if (error instanceof TelegramError) {
+      if (error.errorCode === 401 || error.errorCode === 404) {
+        this.fatal(error, "Poller: Bot token is invalid, stop polling.");
+        return null;
+      }
+      // Telegram does not give us a sub code, so we have to check message.
+      if (error.errorCode === 409 && /webhook/i.test(error.description)) {
+        if (!this.deleteWebhookOnConflict) {
+          this.fatal(error, "Poller: Webhook is set, stop polling.");
+          return null;
+        }
+        this.botLogger.warn("Poller: Webhook is set, deleting it…");
+        try {
+          await this.botAPI.deleteWebhook();
+          return 0;
+        } catch (deleteError) {
+          this.botLogger.warn("Poller: Failed to delete webhook.");
+          this.botLogger.error(deleteError);
+        }
+      } else if (error.errorCode === 409 && this.stopOnConflict) {
+        this.fatal(error, "Poller: Another poller is running, stop polling.");
+        return null;
+      }
+    }
+    ++this.failures;
+    const interval = this.getCoolDownInterval();
+    this.botLogger.warn(
+      `Poller: Failed to poll updates, cool down ${interval} ms.`
+    );
+    this.botLogger.error(error);
+    return interval;
+  }
+
+  /**
+   * @private
+   * @description Handle one Update and retry it if failed, so one bad Update
+   * won't block others forever.
+   * @param {Update} update
+   * @return {Promise<Boolean>} `false` if stopped before it is settled, so it
+   * is polled again on next start.
+   */
+  async handleUpdate(update) {
+    for (let retries = 0; ; ++retries) {
+      try {
+        await this.onUpdates([update]);
+        return true;
+      } catch (error) {
+        if (retries >= this.maxUpdateRetries) {
+          await this.deadLetter(update, error);
+          return true;
+        }
+        await sleep(
+          this.coolDownInterval * 2 ** retries,
+          this.abortController != null ? this.abortController.signal : null
+        );
+        if (!this.isPolling) {
+          return false;
+        }
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @description Handle Updates with at most `concurrency` running, offset
+   * only moves past Updates which are settled with all Updates before them.
+   * @param {Update[]} updates
+   */
+  async handleUpdates(updates) {
+    const isSettled = updates.map(() => {
+      return false;
+    });
+    let next = 0;
+    let settled = 0;
+    // Offset store may write files, don't save at the same time.
+    let saving = Promise.resolve();
+    const worker = async () => {
+      while (next < updates.length) {
+        const i = next++;
+        if (!(await this.handleUpdate(updates[i]))) {
+          continue;
+        }
+        isSettled[i] = true;
+        if (settled !== i) {
+          continue;
+        }
+        while (settled < updates.length && isSettled[settled]) {
+          this.pollingParam["offset"] = updates[settled]["update_id"] + 1;
+          ++settled;
+        }
+        saving = saving.then(this.saveOffset.bind(this));
+      }
+    };
+    const workers = [];
+    for (let i = 0; i < Math.min(this.concurrency, updates.length); ++i) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+    await saving;
+  }
+
+  /**
+   * @private
+   * @description Give up an Update.
+   * @param {Update} update
+   * @param {Error} error The last error.
+   */
+  async deadLetter(update, error) {
+    this.botLogger.warn(
+      `Poller: Failed to handle update ${update["update_id"]}, give up.`
+    );
+    this.botLogger.error(error);
+    if (this.deadLetterFile != null) {
+      try {
+        await fs.promises.mkdir(
+          path.dirname(this.deadLetterFile),
+          {"recursive": true}
+        );
+        await fs.promises.appendFile(this.deadLetterFile, `${JSON.stringify({
+          "time": new Date().toISOString(),
+          "error": `${error}`,
+          update
+        })}\n`, "utf8");
+      } catch (fileError) {
+        this.botLogger.warn("Poller: Failed to write dead letter file.");
+        this.botLogger.error(fileError);
+      }
+    }
+    if (this.onDeadLetter != null) {
+      try {
+        await this.onDeadLetter(update, error);
+      } catch (callbackError) {
+        this.botLogger.warn("Poller: Dead letter callback failed.");
+        this.botLogger.error(callbackError);
+      }
+    }
+  }
+
   /**
    * @private
    */
@@ -79,30 +447,37 @@ class BotPoller {
     this.botLogger.debug(
       `Poller: Polling updates since offset ${this.pollingParam["offset"]}…`
     );
-    let coolDown = false;
+    let updates = [];
+    // Long polling already waits on Telegram's side, so poll again
+    // immediately.
+    let interval = this.pollingParam["timeout"] > 0 ? 0 : this.pollingInterval;
     try {
-      const updates = await this.botAPI.getUpdates(this.pollingParam);
-      if (updates.length > 0) {
-        this.botLogger.debug(
-          `Poller: Got ${updates.length} ${
-            updates.length > 1 ? "updates" : "update"
-          }, calling handler…`
-        );
-        await this.onUpdates(updates);
-        const last = updates[updates.length - 1];
-        this.pollingParam["offset"] = last["update_id"] + 1;
-      }
+      updates = await this.botAPI.withOptions({
+        "signal": this.abortController != null
+          ? this.abortController.signal
+          : null
+      }).getUpdates(this.pollingParam);
+      this.failures = 0;
     } catch (error) {
-      this.botLogger.warn("Poller: Failed to poll updates, cool down.");
-      this.botLogger.error(error);
-      coolDown = true;
+      // Aborted by `stopPollUpdates()`.
+      if (!this.isPolling) {
+        return;
+      }
+      interval = await this.handlePollingError(error);
     }
-    // Stop updating pollingID when stopPollUpdates() is called.
-    if (this.isPolling) {
-      this.pollingID = setTimeout(
-        this.pollUpdates.bind(this),
-        coolDown ? this.coolDownInterval : this.pollingInterval
+    if (updates.length > 0) {
+      this.botLogger.debug(
+        `Poller: Got ${updates.length} ${
+          updates.length > 1 ? "updates" : "update"
+        }, calling handler…`
       );
+      await this.handleUpdates(updates);
+      // There may be more Updates after a batch.
+      interval = 0;
+    }
+    // Stop updating pollingID when stopPollUpdates() is called.
+    if (this.isPolling && interval != null) {
+      this.pollingID = setTimeout(this.pollUpdates.bind(this), interval);
     }
   }
 
@@ -113,6 +488,9 @@ class BotPoller {
     if (this.isPolling) {
       this.isPolling = false;
       clearTimeout(this.pollingID);
+      if (this.abortController != null) {
+        this.abortController.abort();
+      }
     }
     return this.isPolling;
   }
@@ -0,0 +1,227 @@
+/**
+ * @module bot-router
+ */
+
+import {getUpdateType, isFunction, isString} from "./bot-utils.js";
+
+/**
+ * @description Dispatch Updates to handlers registered for commands, text,
+ * callback query data and Update types, the first matched handler wins.
+ * @example
+ * new BotRouter(botName)
+ */
+class BotRouter {
+  /**
+   * @param {String} [botName] Username of bot, commands with other mentions
+   * like `/start@OtherBot` are ignored.
+   * @return {BotRouter}
+   */
+  constructor(botName = null) {
+    this.botName = botName;
+    this.routes = [];
+    this.fallbackHandler = null;
+  }
+
+  /**
+   * @private
+   * @param {Function} handler
+   * @param {Function} match Return `null` if not matched.
+   * @param {Object} [info] Extra info of route, like command description.
+   * @return {BotRouter}
+   */
+  addRoute(handler, match, info = {}) {
+    if (!isFunction(handler)) {
+      throw new TypeError("Expect a Function as `handler`");
+    }
+    this.routes.push(Object.assign({handler, match}, info));
+    return this;
+  }
+
+  /**
+   * @description Handle `/name args` or `/name@botName args` in text of
+   * messages, handler is called with `(update, {command, args})`.
+   * @param {String} name Command without `/`.
+   * @param {Function} handler
+   * @param {Object} [opts] Optional arguments.
+   * @param {String} [opts.description] Description of command, commands
+   * without description are not published by `getCommands()`.
+   * @param {BotCommandScope} [opts.scope] Scope to publish the command.
+   * @param {String} [opts.languageCode] Language to publish the command.
+   * @return {BotRouter}
+   */
+  command(name, handler, opts = {}) {
+    if (!isString(name)) {
+      throw new TypeError("Expect a String as `name`");
+    }
+    const command = name.replace(/^\//, "").toLowerCase();
+    return this.addRoute(handler, (update) => {
+      const parsed = this.parseCommand(update);
+      return parsed != null && parsed["command"] === command ? parsed : null;
+    }, {
+      command,
+      "description": opts["description"] || null,
+      "scope": opts["scope"] || null,
+      "languageCode": opts["languageCode"] || null
+    });
+  }
+
+  /**
+   * @description Get commands with description, can be passed to BotMaster
+   * as `opts.commands`.
+   * @return {Object[]} Array of `{command, description, scope, languageCode}`.
+   */
+  getCommands() {
+    return this.routes.filter((route) => {
+      return route["command"] != null && route["description"] != null;
+    }).map((route) => {
+      return {
+        "command": route["command"],
+        "description": route["description"],
+        "scope": route["scope"],
+        "languageCode": route["languageCode"]
+      };
+    });
+  }
+
+  /**
+   * @description Handle text of messages, handler is called with
+   * `(update, match)`.
+   * @param {(RegExp|String)} pattern A String matches the whole text.
+   * @param {Function} handler
+   * @return {BotRouter}
+   */
+  text(pattern, handler) {
+    return this.addRoute(handler, (update) => {
+      const text = this.getText(update);
+      if (text == null) {
+        return null;
+      }
+      if (isString(pattern)) {
+        return text === pattern ? [text] : null;
+      }
+      // Reset `lastIndex` of global or sticky RegExp.
+      pattern.lastIndex = 0;
+      return pattern.exec(text);
+    });
+  }
+
+  /**
+   * @description Handle data of callback queries starting with `prefix`,
+   * handler is called with `(update, rest)` where `rest` is data without
+   * `prefix`.
+   * @param {String} prefix
+   * @param {Function} handler
+   * @return {BotRouter}
+   */
+  callbackQuery(prefix, handler) {
+    return this.addRoute(handler, (update) => {
+      const callbackQuery = update["callback_query"];
+      if (callbackQuery == null || !isString(callbackQuery["data"]) ||
+          !callbackQuery["data"].startsWith(prefix)) {
+        return null;
+      }
+      return callbackQuery["data"].slice(prefix.length);
+    });
+  }
+
+  /**
+   * @description Handle Updates of type, handler is called with
+   * `(update, payload)` where `payload` is `update[type]`.
+   * @param {String} type Update type like `message` or `inline_query`.
+   * @param {Function} handler
+   * @return {BotRouter}
+   */
+  on(type, handler) {
+    return this.addRoute(handler, (update) => {
+      return getUpdateType(update) === type ? update[type] : null;
+    });
+  }
+
+  /**
+   * @description Handle Updates not matched by any route, handler is called
+   * with `(update)`.
+   * @param {Function} handler
+   * @return {BotRouter}
+   */
+  fallback(handler) {
+    if (!isFunction(handler)) {
+      throw new TypeError("Expect a Function as `handler`");
+    }
+    this.fallbackHandler = handler;
+    return this;
+  }
+
+  /**
+   * @private
+   * @param {Update} update
+   * @return {String} Text of message or channel post, `null` if no text.
+   */
+  getText(update) {
+    const type = getUpdateType(update);
+    if (type == null || update[type] == null ||
+        !isString(update[type]["text"])) {
+      return null;
+    }
+    return update[type]["text"];
+  }
+
+  /**
+   * @private
+   * @param {Update} update
+   * @return {Object} `{command, args, botName}`, `null` if not a command.
+   */
+  parseCommand(update) {
+    const text = this.getText(update);
+    if (text == null) {
+      return null;
+    }
+    const match = /^\/([A-Za-z0-9_]+)(?:@([A-Za-z0-9_]+))?(?:\s+([\s\S]*))?$/
+      .exec(text);
+    if (match == null) {
+      return null;
+    }
+    return {
+      "command": match[1].toLowerCase(),
+      "args": match[3] != null ? match[3].trim() : "",
+      "botName": match[2] || null
+    };
+  }
+
+  /**
+   * @private
+   * @param {Update} update
+   * @return {Boolean} Whether the Update is a command for another bot.
+   */
+  isForOtherBot(update) {
+    const parsed = this.parseCommand(update);
+    return parsed != null && parsed["botName"] != null &&
+      this.botName != null &&
+      parsed["botName"].toLowerCase() !== this.botName.toLowerCase();
+  }
+
+  /**
+   * @description Call the first matched handler, or fallback handler.
+   * Commands for other bots are ignored.
+   * @param {Update} update
+   * @return {Promise<Boolean>} Whether a handler is called.
+   */
+  async route(update) {
+    if (this.isForOtherBot(update)) {
+      return false;
+    }
+    for (const {handler, match} of this.routes) {
+      const result = match(update);
+      if (result != null) {
+        await handler(update, result);
+        return true;
+      }
+    }
+    if (this.fallbackHandler != null) {
+      await this.fallbackHandler(update);
+      return true;
+    }
+    return false;
+  }
+}
+
+export default BotRouter;
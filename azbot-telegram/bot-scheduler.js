@@ -0,0 +1,212 @@
+/**
+ * @module bot-scheduler
+ */
+
+/**
+ * @private
+ * @description A token bucket which refills `limit` tokens per `interval`.
+ */
+class TokenBucket {
+  /**
+   * @param {Number} limit Max tokens, also the burst size.
+   * @param {Number} interval Milliseconds to refill all tokens.
+   * @return {TokenBucket}
+   */
+  constructor(limit, interval) {
+    this.limit = limit;
+    this.interval = interval;
+    this.tokens = limit;
+    this.lastTime = Date.now();
+  }
+
+  /**
+   * @param {Number} now
+   */
+  refill(now) {
+    const elapsed = now - this.lastTime;
+    this.lastTime = now;
+    this.tokens = Math.min(
+      this.limit,
+      this.tokens + elapsed * this.limit / this.interval
+    );
+  }
+
+  /**
+   * @param {Number} now
+   * @return {Number} Milliseconds until one token is available.
+   */
+  getWait(now) {
+    this.refill(now);
+    if (this.tokens >= 1) {
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) * this.interval / this.limit);
+  }
+
+  /**
+   * @description Take one token, call `getWait()` first.
+   */
+  take() {
+    this.tokens -= 1;
+  }
+
+  /**
+   * @param {Number} now
+   * @return {Boolean} Whether the bucket is full and can be dropped.
+   */
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.limit;
+  }
+}
+
+/**
+ * @description Queue calls per chat and run them without exceeding
+ * Telegram's limits, calls of the same chat run in order.
+ * @see https://core.telegram.org/bots/faq#my-bot-is-hitting-limits-how-do-i-avoid-this
+ * @example
+ * new BotScheduler(opts)
+ */
+class BotScheduler {
+  /**
+   * @param {Object} [opts] Optional arguments, every limit is `{limit, interval}`.
+   * @param {Object} [opts.global={"limit": 30, "interval": 1000}] Limit for all chats.
+   * @param {Object} [opts.chat={"limit": 1, "interval": 1000}] Limit for each chat.
+   * @param {Object} [opts.group={"limit": 20, "interval": 60000}] Extra limit for each group or channel.
+   * @return {BotScheduler}
+   */
+  constructor(opts = {}) {
+    this.globalLimit = opts["global"] || {"limit": 30, "interval": 1000};
+    this.chatLimit = opts["chat"] || {"limit": 1, "interval": 1000};
+    this.groupLimit = opts["group"] || {"limit": 20, "interval": 60000};
+    this.globalBucket = new TokenBucket(
+      this.globalLimit["limit"],
+      this.globalLimit["interval"]
+    );
+    this.chatBuckets = new Map();
+    this.groupBuckets = new Map();
+    // Map keeps insertion order, we move a served chat to the end so chats
+    // are served in turn.
+    this.queues = new Map();
+    this.timerID = null;
+  }
+
+  /**
+   * @param {(Number|String)} chatID Target chat ID, `null` if no chat.
+   * @param {Function} task A Function returns Promise, called when allowed.
+   * @return {Promise} Resolves or rejects with result of `task`.
+   */
+  schedule(chatID, task) {
+    const key = chatID == null ? "" : `${chatID}`;
+    return new Promise((resolve, reject) => {
+      if (!this.queues.has(key)) {
+        this.queues.set(key, []);
+      }
+      this.queues.get(key).push({task, resolve, reject});
+      this.run();
+    });
+  }
+
+  /**
+   * @private
+   * @param {String} key
+   * @return {Boolean} Groups, supergroups and channels have negative IDs or
+   * use usernames.
+   */
+  isGroup(key) {
+    return key.startsWith("-") || key.startsWith("@");
+  }
+
+  /**
+   * @private
+   * @param {String} key
+   * @return {TokenBucket[]} Buckets of this chat except the global one.
+   */
+  getBuckets(key) {
+    const buckets = [];
+    if (key === "") {
+      return buckets;
+    }
+    if (!this.chatBuckets.has(key)) {
+      this.chatBuckets.set(key, new TokenBucket(
+        this.chatLimit["limit"],
+        this.chatLimit["interval"]
+      ));
+    }
+    buckets.push(this.chatBuckets.get(key));
+    if (this.isGroup(key)) {
+      if (!this.groupBuckets.has(key)) {
+        this.groupBuckets.set(key, new TokenBucket(
+          this.groupLimit["limit"],
+          this.groupLimit["interval"]
+        ));
+      }
+      buckets.push(this.groupBuckets.get(key));
+    }
+    return buckets;
+  }
+
+  /**
+   * @private
+   * @description Drop full buckets of idle chats, they are same as new ones.
+   * @param {Number} now
+   */
+  dropIdleBuckets(now) {
+    for (const buckets of [this.chatBuckets, this.groupBuckets]) {
+      for (const [key, bucket] of buckets) {
+        if (!this.queues.has(key) && bucket.isFull(now)) {
+          buckets.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @description Run all allowed tasks and set a timer for the rest.
+   */
+  run() {
+    if (this.timerID != null) {
+      clearTimeout(this.timerID);
+      this.timerID = null;
+    }
+    const now = Date.now();
+    let minWait = Infinity;
+    for (const key of Array.from(this.queues.keys())) {
+      const globalWait = this.globalBucket.getWait(now);
+      if (globalWait > 0) {
+        minWait = Math.min(minWait, globalWait);
+        break;
+      }
+      const buckets = this.getBuckets(key);
+      const wait = Math.max(0, ...buckets.map((bucket) => {
+        return bucket.getWait(now);
+      }));
+      if (wait > 0) {
+        minWait = Math.min(minWait, wait);
+        continue;
+      }
+      this.globalBucket.take();
+      for (const bucket of buckets) {
+        bucket.take();
+      }
+      const queue = this.queues.get(key);
+      const {task, resolve, reject} = queue.shift();
+      this.queues.delete(key);
+      if (queue.length > 0) {
+        this.queues.set(key, queue);
+        // The chat needs to wait for its bucket now.
+        minWait = Math.min(minWait, Math.max(0, ...buckets.map((bucket) => {
+          return bucket.getWait(now);
+        })));
+      }
+      Promise.resolve().then(task).then(resolve, reject);
+    }
+    this.dropIdleBuckets(now);
+    if (this.queues.size > 0 && minWait !== Infinity) {
+      this.timerID = setTimeout(this.run.bind(this), Math.max(1, minWait));
+    }
+  }
+}
+
+export default BotScheduler;
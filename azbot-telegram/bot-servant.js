@@ -2,6 +2,9 @@
  * @module bot-servant
  */
 
+import {WaitError} from "./bot-error.js";
+import {getUpdateType, isFunction, isString} from "./bot-utils.js";
+
 /**
  * @description Bot template
  */
@@ -17,6 +20,10 @@ class BotServant {
     this.identifier = identifier;
     this.botID = botID;
     this.botName = botName;
+    this.waiters = [];
+    // Resolved when `waitFor()` is called, so BotMaster knows this servant
+    // is waiting and can pass following Updates to it.
+    this.suspension = null;
   }
 
   /**
@@ -34,12 +41,154 @@ class BotServant {
 
   }
 
+  /**
+   * @description Wait for the next matched Update of this identifier, the
+   * Update is passed here instead of `processUpdate()`.
+   * @param {Object} [opts] Optional arguments.
+   * @param {String} [opts.type] Update type like `message`, default to any.
+   * @param {Function} [opts.filter] Return `true` for a matched Update.
+   * @param {Number} [opts.timeout] Milliseconds to wait, default to forever.
+   * @param {(Function|String)} [opts.cancel] A command like `/cancel`, or a
+   * Function returns `true` for an Update which stops waiting.
+   * @return {Promise<Update>} Rejects with WaitError on timeout, cancel or
+   * servant removed.
+   */
+  waitFor(opts = {}) {
+    const type = opts["type"] || null;
+    const filter = opts["filter"] || null;
+    const timeout = opts["timeout"] || null;
+    const cancel = opts["cancel"] || null;
+    if (filter != null && !isFunction(filter)) {
+      throw new TypeError("Expect a Function as `opts['filter']`");
+    }
+    if (cancel != null && !isFunction(cancel) && !isString(cancel)) {
+      throw new TypeError("Expect a Function or String as `opts['cancel']`");
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        "match": (update) => {
+          return (type == null || getUpdateType(update) === type) &&
+            (filter == null || filter(update));
+        },
+        "isCancel": (update) => {
+          if (cancel == null) {
+            return false;
+          }
+          if (isFunction(cancel)) {
+            return cancel(update);
+          }
+          const message = update[getUpdateType(update)];
+          const text = message != null ? message["text"] : null;
+          return isString(text) &&
+            (text === cancel || text.startsWith(`${cancel}@`));
+        },
+        "resolve": (update) => {
+          clearTimeout(waiter["timerID"]);
+          resolve(update);
+        },
+        "reject": (error) => {
+          clearTimeout(waiter["timerID"]);
+          reject(error);
+        },
+        "timerID": null
+      };
+      if (timeout != null) {
+        waiter["timerID"] = setTimeout(() => {
+          this.waiters.splice(this.waiters.indexOf(waiter), 1);
+          reject(new WaitError("timeout"));
+        }, timeout);
+      }
+      this.waiters.push(waiter);
+      if (this.suspension != null) {
+        this.suspension["resolve"]();
+        this.suspension = null;
+      }
+    });
+  }
+
+  /**
+   * @private
+   * @description Pass Update to the first matched waiter.
+   * @param {Update} update
+   * @return {Boolean} Whether the Update is taken by a waiter.
+   */
+  feedWaiters(update) {
+    for (const waiter of this.waiters) {
+      if (waiter["isCancel"](update)) {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        waiter["reject"](new WaitError("cancel", {update}));
+        return true;
+      }
+      if (waiter["match"](update)) {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        waiter["resolve"](update);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   * @description Stop all waiters.
+   * @param {String} reason
+   */
+  cancelWaiters(reason) {
+    const waiters = this.waiters;
+    this.waiters = [];
+    for (const waiter of waiters) {
+      waiter["reject"](new WaitError(reason));
+    }
+  }
+
+  /**
+   * @private
+   * @return {Promise} Resolves when `waitFor()` is called next time.
+   */
+  waitSuspension() {
+    if (this.suspension == null) {
+      this.suspension = {};
+      this.suspension["promise"] = new Promise((resolve) => {
+        this.suspension["resolve"] = resolve;
+      });
+    }
+    return this.suspension["promise"];
+  }
+
+  /**
+   * @description This will be called when `onCreate()` or `processUpdate()`
+   * throws, default to throw it again to let BotMaster handle it.
+   * @param {Error} error
+   * @param {Update} update
+   */
+  onError(error, update) {
+    throw error;
+  }
+
   /**
    * @description This will be called on BotServant removed.
    */
   onRemove() {
 
   }
+
+  /**
+   * @description This will be called before BotServant removed if BotMaster
+   * has a storage, override it to keep state across removals and restarts.
+   * @return {Object} A JSON serializable state, `null` to delete saved state.
+   */
+  serialize() {
+    return null;
+  }
+
+  /**
+   * @description This will be called before `onCreate()` if BotMaster has a
+   * storage and there is a saved state for this identifier.
+   * @param {Object} state State returned by `serialize()`.
+   */
+  restore(state) {
+
+  }
 }
 
 export default BotServant;
@@ -0,0 +1,113 @@
+/**
+ * @module bot-storage
+ */
+
+import * as fs from "node:fs";
+import * as path from "node:path";
+import {writeJSONFile} from "./bot-utils.js";
+
+/**
+ * @description Keep servant states in memory, states are lost on restart.
+ * Custom storages only need the same `get()`, `set()` and `delete()` methods.
+ * @example
+ * new MemoryStorage()
+ */
+class MemoryStorage {
+  /**
+   * @return {MemoryStorage}
+   */
+  constructor() {
+    this.states = new Map();
+  }
+
+  /**
+   * @param {String} key
+   * @return {Promise<Object>} Saved state, `null` if nothing saved.
+   */
+  async get(key) {
+    return this.states.has(key) ? this.states.get(key) : null;
+  }
+
+  /**
+   * @param {String} key
+   * @param {Object} value A JSON serializable value.
+   */
+  async set(key, value) {
+    this.states.set(key, value);
+  }
+
+  /**
+   * @param {String} key
+   */
+  async delete(key) {
+    this.states.delete(key);
+  }
+}
+
+/**
+ * @description Keep servant states in a directory, one JSON file per key.
+ * @example
+ * new FileStorage(dirpath)
+ */
+class FileStorage {
+  /**
+   * @param {String} dirpath Path of directory, created if not exists.
+   * @return {FileStorage}
+   */
+  constructor(dirpath) {
+    this.dirpath = dirpath;
+  }
+
+  /**
+   * @private
+   * @param {String} key
+   * @return {String} Keys may contain characters like `:` or `/`, so encode
+   * them into a safe file name.
+   */
+  getFilepath(key) {
+    return path.join(this.dirpath, `${encodeURIComponent(key)}.json`);
+  }
+
+  /**
+   * @param {String} key
+   * @return {Promise<Object>} Saved state, `null` if file does not exist.
+   */
+  async get(key) {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.getFilepath(key), "utf8");
+    } catch (error) {
+      if (error["code"] === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+    return JSON.parse(content);
+  }
+
+  /**
+   * @param {String} key
+   * @param {Object} value A JSON serializable value.
+   */
+  async set(key, value) {
+    await writeJSONFile(this.getFilepath(key), value);
+  }
+
+  /**
+   * @param {String} key
+   */
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.getFilepath(key));
+    } catch (error) {
+      if (error["code"] !== "ENOENT") {
+        throw error;
+      }
+    }
+  }
+}
+
+export {
+  MemoryStorage,
+  FileStorage
+};
@@ -4,28 +4,113 @@
 
 import * as fs from "node:fs";
 import * as path from "node:path";
+import * as http from "node:http";
 import * as https from "node:https";
+import * as crypto from "node:crypto";
 import {Buffer} from "node:buffer";
+import {Readable, pipeline} from "node:stream";
+import {
+  NetworkError,
+  TimeoutError,
+  StatusError,
+  AbortError
+} from "./bot-error.js";
 
 /**
- * @description A helper class for uploading file.
+ * @description A helper class for uploading file, file content is read only
+ * when uploading, so large files won't be loaded into memory.
  * @example
- * new InputFile(path)
+ * new InputFile(filepath)
+ * new InputFile(buffer, filename)
+ * new InputFile(readable, filename)
  */
 class InputFile {
   /**
-   * @param {String} filepath
-   * @param {Buffer} [buffer] If no buffer provided it will read from file.
+   * @param {(String|Buffer|stream.Readable)} file File path, Buffer or Readable.
+   * @param {String} [filename] Filename for Telegram, required for Buffer and
+   * Readable except `fs.ReadStream`. For compatibility,
+   * `new InputFile(filepath, buffer)` still works.
    * @return {InputFile}
    */
-  constructor(filepath, buffer = null) {
-    this.filename = path.basename(filepath);
-    if (buffer == null) {
-      // Read file content from path.
-      this.buffer = fs.readFileSync(filepath);
+  constructor(file, filename = null) {
+    this.filepath = null;
+    this.buffer = null;
+    this.stream = null;
+    if (isBuffer(filename)) {
+      // Keep compatibility with `new InputFile(filepath, buffer)`.
+      this.filename = path.basename(file);
+      this.buffer = filename;
+    } else if (isString(file)) {
+      this.filename = filename || path.basename(file);
+      this.filepath = file;
+    } else if (isBuffer(file)) {
+      this.filename = filename || "file";
+      this.buffer = file;
+    } else if (isReadable(file)) {
+      this.filename = filename ||
+        (isString(file["path"]) ? path.basename(file["path"]) : "file");
+      this.stream = file;
     } else {
-      this.buffer = buffer;
+      throw new TypeError("Expect a String, Buffer or Readable as `file`");
+    }
+  }
+
+  /**
+   * @description A Readable can only be uploaded once.
+   * @return {Boolean} Whether `getStream()` can be called again.
+   */
+  isReplayable() {
+    return this.stream == null;
+  }
+
+  /**
+   * @return {Promise<Number>} Length in bytes, `null` if unknown.
+   */
+  async getLength() {
+    if (this.buffer != null) {
+      return this.buffer.length;
+    }
+    if (this.filepath != null) {
+      const stats = await fs.promises.stat(this.filepath);
+      return stats.size;
+    }
+    // An unread `fs.ReadStream` of the whole file has the same length.
+    if (this.stream instanceof fs.ReadStream &&
+        this.stream.start == null && this.stream.end === Infinity &&
+        this.stream.bytesRead === 0) {
+      const stats = await fs.promises.stat(this.stream.path);
+      return stats.size;
+    }
+    return null;
+  }
+
+  /**
+   * @return {stream.Readable} A new stream for file path or Buffer, or the
+   * passed Readable.
+   */
+  getStream() {
+    if (this.buffer != null) {
+      return Readable.from([this.buffer]);
+    }
+    if (this.filepath != null) {
+      return fs.createReadStream(this.filepath);
+    }
+    return this.stream;
+  }
+
+  /**
+   * @description Read the whole file into memory, don't call this for
+   * Readable.
+   * @return {Buffer}
+   */
+  getBuffer() {
+    if (this.buffer != null) {
+      return this.buffer;
     }
+    if (this.filepath != null) {
+      return fs.readFileSync(this.filepath);
+    }
+    throw new Error("Cannot read a Readable synchronously");
   }
 }
 
@@ -129,6 +214,257 @@ class InputMediaDocument extends InputMedia {
   }
 }
 
+/**
+ * @description Build InlineKeyboardMarkup, buttons are added to the last
+ * row, call `row()` to start a new row.
+ * @see https://core.telegram.org/bots/api#inlinekeyboardmarkup
+ * @example
+ * new InlineKeyboard().callback("Yes", "yes").callback("No", "no")
+ */
+class InlineKeyboard {
+  /**
+   * @param {Object[][]} [rows] Initial rows of InlineKeyboardButton.
+   * @return {InlineKeyboard}
+   */
+  constructor(rows = []) {
+    this.rows = rows.map((row) => {
+      return row.slice();
+    });
+    this.rows.push([]);
+  }
+
+  /**
+   * @description Start a new row.
+   * @return {InlineKeyboard}
+   */
+  row() {
+    if (this.rows[this.rows.length - 1].length > 0) {
+      this.rows.push([]);
+    }
+    return this;
+  }
+
+  /**
+   * @param {Object} button InlineKeyboardButton, keys are transfered into
+   * snake_case.
+   * @return {InlineKeyboard}
+   */
+  button(button) {
+    this.rows[this.rows.length - 1].push(toSnakeCaseObject(button));
+    return this;
+  }
+
+  /**
+   * @param {String} text
+   * @param {String} url HTTP or tg:// URL to open.
+   * @return {InlineKeyboard}
+   */
+  url(text, url) {
+    return this.button({text, url});
+  }
+
+  /**
+   * @param {String} text
+   * @param {String} data Data sent in callback query, 1-64 bytes.
+   * @return {InlineKeyboard}
+   */
+  callback(text, data) {
+    return this.button({text, "callbackData": data});
+  }
+
+  /**
+   * @param {String} text
+   * @param {String} [query] Inline query inserted in the chosen chat.
+   * @return {InlineKeyboard}
+   */
+  switchInline(text, query = "") {
+    return this.button({text, "switchInlineQuery": query});
+  }
+
+  /**
+   * @param {String} text
+   * @param {String} [query] Inline query inserted in the current chat.
+   * @return {InlineKeyboard}
+   */
+  switchInlineCurrentChat(text, query = "") {
+    return this.button({text, "switchInlineQueryCurrentChat": query});
+  }
+
+  /**
+   * @param {String} text
+   * @param {String} url HTTPS URL of Web App.
+   * @return {InlineKeyboard}
+   */
+  webApp(text, url) {
+    return this.button({text, "webApp": {url}});
+  }
+
+  /**
+   * @see https://core.telegram.org/bots/api#loginurl
+   * @param {String} text
+   * @param {String} url HTTPS URL to open with user authorization data.
+   * @param {Object} [opts] Optional Telegram parameters of LoginUrl.
+   * @return {InlineKeyboard}
+   */
+  login(text, url, opts = {}) {
+    return this.button({text, "loginUrl": Object.assign({url}, opts)});
+  }
+
+  /**
+   * @description Pay button, must be the first button of the first row.
+   * @param {String} text
+   * @return {InlineKeyboard}
+   */
+  pay(text) {
+    return this.button({text, "pay": true});
+  }
+
+  /**
+   * @return {Object} InlineKeyboardMarkup, used by `JSON.stringify()`.
+   */
+  toJSON() {
+    return {
+      "inline_keyboard": this.rows.filter((row) => {
+        return row.length > 0;
+      })
+    };
+  }
+}
+
+/**
+ * @description Build ReplyKeyboardMarkup, buttons are added to the last
+ * row, call `row()` to start a new row.
+ * @see https://core.telegram.org/bots/api#replykeyboardmarkup
+ * @example
+ * new ReplyKeyboard({"resizeKeyboard": true}).text("Yes").text("No")
+ */
+class ReplyKeyboard {
+  /**
+   * @param {Object} [opts] Optional Telegram parameters like
+   * `resizeKeyboard` and `oneTimeKeyboard`.
+   * @param {Object[][]} [rows] Initial rows of KeyboardButton.
+   * @return {ReplyKeyboard}
+   */
+  constructor(opts = {}, rows = []) {
+    this.opts = toSnakeCaseObject(opts);
+    this.rows = rows.map((row) => {
+      return row.slice();
+    });
+    this.rows.push([]);
+  }
+
+  /**
+   * @description Start a new row.
+   * @return {ReplyKeyboard}
+   */
+  row() {
+    if (this.rows[this.rows.length - 1].length > 0) {
+      this.rows.push([]);
+    }
+    return this;
+  }
+
+  /**
+   * @param {Object} button KeyboardButton, keys are transfered into
+   * snake_case.
+   * @return {ReplyKeyboard}
+   */
+  button(button) {
+    this.rows[this.rows.length - 1].push(toSnakeCaseObject(button));
+    return this;
+  }
+
+  /**
+   * @param {String} text Sent as a message when pressed.
+   * @return {ReplyKeyboard}
+   */
+  text(text) {
+    return this.button({text});
+  }
+
+  /**
+   * @param {String} text
+   * @return {ReplyKeyboard}
+   */
+  requestContact(text) {
+    return this.button({text, "requestContact": true});
+  }
+
+  /**
+   * @param {String} text
+   * @return {ReplyKeyboard}
+   */
+  requestLocation(text) {
+    return this.button({text, "requestLocation": true});
+  }
+
+  /**
+   * @param {String} text
+   * @param {String} [type] `quiz` or `regular`, any type if not given.
+   * @return {ReplyKeyboard}
+   */
+  requestPoll(text, type = null) {
+    return this.button({
+      text,
+      "requestPoll": type != null ? {type} : {}
+    });
+  }
+
+  /**
+   * @param {String} text
+   * @param {String} url HTTPS URL of Web App.
+   * @return {ReplyKeyboard}
+   */
+  webApp(text, url) {
+    return this.button({text, "webApp": {url}});
+  }
+
+  /**
+   * @return {Object} ReplyKeyboardMarkup, used by `JSON.stringify()`.
+   */
+  toJSON() {
+    return Object.assign({
+      "keyboard": this.rows.filter((row) => {
+        return row.length > 0;
+      })
+    }, this.opts);
+  }
+}
+
+/**
+ * @see https://core.telegram.org/bots/api#replykeyboardremove
+ * @example
+ * new ReplyKeyboardRemove()
+ */
+class ReplyKeyboardRemove {
+  /**
+   * @param {Object} [opts] Optional Telegram parameters.
+   * @return {ReplyKeyboardRemove}
+   */
+  constructor(opts = {}) {
+    this["remove_keyboard"] = true;
+    opts = toSnakeCaseObject(opts);
+    Object.assign(this, opts);
+  }
+}
+
+/**
+ * @see https://core.telegram.org/bots/api#forcereply
+ * @example
+ * new ForceReply()
+ */
+class ForceReply {
+  /**
+   * @param {Object} [opts] Optional Telegram parameters.
+   * @return {ForceReply}
+   */
+  constructor(opts = {}) {
+    this["force_reply"] = true;
+    opts = toSnakeCaseObject(opts);
+    Object.assign(this, opts);
+  }
+}
+
 /**
  * @description A simple FormData implemention,
  * does not support mixed files because Telegram Bot API does not use it.
@@ -142,7 +478,6 @@ class FormData {
    * @return {FormData}
    */
   constructor() {
-    this.buffer = null;
     this.boundary = `${Math.random().toString(16)}`;
     this.data = {};
   }
@@ -150,14 +485,17 @@ class FormData {
   /**
    * @see https://developer.mozilla.org/zh-CN/docs/Web/API/FormData/append
    * @param {String} name
-   * @param {(String|Buffer)} value
-   * @param {String} [filename] If you want to upload a file, Telegram Bot API needs this.
+   * @param {(String|Buffer|InputFile)} value
+   * @param {String} [filename] If you want to upload a file, Telegram Bot API needs this, default to filename of InputFile.
    */
   append(name, value, filename = null) {
     name = `${name}`;
-    if (!(isString(value) || isBuffer(value))) {
+    if (!(isString(value) || isBuffer(value) || isInputFile(value))) {
       value = `${value}`;
     }
+    if (filename == null && isInputFile(value)) {
+      filename = value.filename;
+    }
     if (this.data[name] == null) {
       this.data[name] = [];
     }
@@ -177,7 +515,7 @@ class FormData {
   /**
    * @see https://developer.mozilla.org/zh-CN/docs/Web/API/FormData/get
    * @param {String} name
-   * @return {(String|Buffer)} Value
+   * @return {(String|Buffer|InputFile)} Value
    */
   get(name) {
     if (this.data[name] == null) {
@@ -203,14 +541,17 @@ class FormData {
   /**
    * @see https://developer.mozilla.org/zh-CN/docs/Web/API/FormData/append
    * @param {String} name
-   * @param {(String|Buffer)} value
-   * @param {String} [filename] If you want to upload a file, Telegram Bot API needs this.
+   * @param {(String|Buffer|InputFile)} value
+   * @param {String} [filename] If you want to upload a file, Telegram Bot API needs this, default to filename of InputFile.
    */
   set(name, value, filename = null) {
     name = `${name}`;
-    if (!(isString(value) || isBuffer(value))) {
+    if (!(isString(value) || isBuffer(value) || isInputFile(value))) {
       value = `${value}`;
     }
+    if (filename == null && isInputFile(value)) {
+      filename = value.filename;
+    }
     this.data[name] = [{name, value, filename}];
   }
 
@@ -235,7 +576,7 @@ class FormData {
 
   /**
    * @see https://developer.mozilla.org/zh-CN/docs/Web/API/FormData/values
-   * @return {Iterator<(String|Buffer)>}
+   * @return {Iterator<(String|Buffer|InputFile)>}
    */
   *values() {
     for (const value of Object.values(this.data).reduce((acc, curr) => {
@@ -249,7 +590,7 @@ class FormData {
 
   /**
    * @see https://developer.mozilla.org/zh-CN/docs/Web/API/FormData/entries
-   * @return {Iterator<String, (String|Buffer)>}
+   * @return {Iterator<String, (String|Buffer|InputFile)>}
    */
   *entries() {
     for (const entries of Object.entries(this.data).reduce((acc, curr) => {
@@ -262,74 +603,267 @@ class FormData {
   }
 
   /**
-   * @description Get a buffer that can be written to http requests.
-   * @return {Buffer}
+   * @private
+   * @description Split body into parts, file content is kept as InputFile.
+   * @return {Array<(Buffer|InputFile)>}
    */
-  getBuffer() {
-    const array = [];
+  getParts() {
+    const parts = [];
     for (const [name, values] of Object.entries(this.data)) {
       for (const o of values) {
-        array.push(`\r\n--${this.boundary}\r\n`);
-        array.push(`Content-Disposition: form-data; name="${name}"`);
+        const header = [`\r\n--${this.boundary}\r\n`];
+        header.push(`Content-Disposition: form-data; name="${name}"`);
         if (o["filename"] != null) {
-          array.push(`; filename="${o["filename"]}"`);
+          header.push(`; filename="${o["filename"]}"`);
         }
-        array.push("\r\n\r\n");
-        array.push(o["value"]);
+        header.push("\r\n\r\n");
+        parts.push(Buffer.from(header.join("")));
+        parts.push(
+          isInputFile(o["value"]) ? o["value"] : Buffer.from(o["value"])
+        );
       }
     }
-    array.push(`\r\n--${this.boundary}--`);
-    this.buffer = Buffer.concat(array.map(Buffer.from));
-    return this.buffer;
+    parts.push(Buffer.from(`\r\n--${this.boundary}--`));
+    return parts;
   }
 
   /**
-   * @description Get buffer length, you'd better call `getBuffer()` first.
-   * @return {Number}
+   * @description Whether `getStream()` can be called again, false if any file
+   * is a Readable.
+   * @return {Boolean}
    */
-  getLength() {
-    if (this.buffer == null) {
-      this.getBuffer();
-    }
-    return this.buffer.length;
+  isReplayable() {
+    return this.getParts().every((part) => {
+      return !isInputFile(part) || part.isReplayable();
+    });
   }
 
   /**
-   * @description Get headers for buffer that can be past to http requests,
-   * you'd better call `getBuffer()` first.
+   * @description Get a stream that can be piped to http requests, files are
+   * read while streaming.
+   * @return {stream.Readable}
+   */
+  getStream() {
+    const parts = this.getParts();
+    return Readable.from((async function *() {
+      for (const part of parts) {
+        if (isInputFile(part)) {
+          for await (const chunk of part.getStream()) {
+            yield chunk;
+          }
+        } else {
+          yield part;
+        }
+      }
+    })());
+  }
+
+  /**
+   * @description Get a buffer that can be written to http requests, this
+   * reads all files into memory, use `getStream()` for large files.
    * @return {Buffer}
    */
-  getHeaders() {
-    return {
-      "Content-Type": `multipart/form-data; boundary=${this.boundary}`,
-      "Transfer-Encoding": "chunked",
-      "Content-Length": this.getLength()
+  getBuffer() {
+    return Buffer.concat(this.getParts().map((part) => {
+      return isInputFile(part) ? part.getBuffer() : part;
+    }));
+  }
+
+  /**
+   * @description Get body length.
+   * @return {Promise<Number>} `null` if any file length is unknown.
+   */
+  async getLength() {
+    let length = 0;
+    for (const part of this.getParts()) {
+      const partLength = isInputFile(part)
+        ? await part.getLength()
+        : part.length;
+      if (partLength == null) {
+        return null;
+      }
+      length += partLength;
+    }
+    return length;
+  }
+
+  /**
+   * @description Get headers for body that can be past to http requests.
+   * @param {Number} [length] Result of `getLength()`, without it the body
+   * will be sent chunked.
+   * @return {Object}
+   */
+  getHeaders(length = null) {
+    const headers = {
+      "Content-Type": `multipart/form-data; boundary=${this.boundary}`
     };
+    if (length != null) {
+      headers["Content-Length"] = `${length}`;
+    }
+    return headers;
+  }
+}
+
+/**
+ * @description Pack an action and payload into `callback_data` like
+ * `~1:action:arg1:arg2:tag`, where tag is a truncated HMAC with a key derived
+ * from bot token, so users cannot send crafted data. `~1:` is reserved to mark
+ * encoded data, don't start other `callback_data` with it.
+ * @see https://core.telegram.org/bots/api#inlinekeyboardbutton
+ * @example
+ * new CallbackCodec(token, opts)
+ */
+class CallbackCodec {
+  /**
+   * @param {String} token Telegram bot token.
+   * @param {Object} [opts] Optional arguments.
+   * @param {Number} [opts.tagLength=8] Characters of tag, longer is safer
+   * but leaves less bytes for payload.
+   * @return {CallbackCodec}
+   */
+  constructor(token, opts = {}) {
+    if (!isString(token)) {
+      throw new TypeError("Expect a String as `token`");
+    }
+    // Don't use token as key directly, so the key is only for this usage.
+    this.key = crypto.createHmac("sha256", "azbot-telegram-callback-data")
+      .update(token)
+      .digest();
+    this.tagLength = opts["tagLength"] || 8;
+    this.separator = ":";
+    // Version marker, so plain data like `item:12345678` is never taken as
+    // encoded data.
+    this.marker = "~1";
+    // Telegram limits `callback_data` to 1-64 bytes.
+    this.maxSize = 64;
+  }
+
+  /**
+   * @private
+   * @param {String} data
+   * @return {String} Tag in base64url.
+   */
+  sign(data) {
+    // `base64url` encoding is not available in all supported Node.js.
+    return crypto.createHmac("sha256", this.key)
+      .update(data)
+      .digest("base64")
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "")
+      .slice(0, this.tagLength);
+  }
+
+  /**
+   * @param {String} action Action name.
+   * @param {Array} [payload] Strings or Numbers, they cannot contain `:`.
+   * @return {String} Signed data for `callback_data`.
+   */
+  encode(action, payload = []) {
+    if (!isString(action) || action.length === 0) {
+      throw new TypeError("Expect a non-empty String as `action`");
+    }
+    if (!isArray(payload)) {
+      throw new TypeError("Expect an Array as `payload`");
+    }
+    const parts = [action, ...payload.map((part) => {
+      return `${part}`;
+    })];
+    for (const part of parts) {
+      if (part.includes(this.separator)) {
+        throw new TypeError(
+          `Expect no \`${this.separator}\` in \`action\` and \`payload\``
+        );
+      }
+    }
+    const data = [this.marker, ...parts].join(this.separator);
+    const result = `${data}${this.separator}${this.sign(data)}`;
+    if (Buffer.byteLength(result, "utf8") > this.maxSize) {
+      throw new RangeError(
+        `Expect encoded data no more than ${this.maxSize} bytes`
+      );
+    }
+    return result;
+  }
+
+  /**
+   * @description Check whether data has the marker of CallbackCodec, without
+   * verifying the tag.
+   * @param {String} result Data from `callback_data`.
+   * @return {Boolean}
+   */
+  isEncoded(result) {
+    return isString(result) &&
+      result.startsWith(`${this.marker}${this.separator}`);
+  }
+
+  /**
+   * @param {String} result Data from `callback_data`.
+   * @return {Object} `{action, payload}` where `payload` is an Array of
+   * Strings, `null` if data is invalid or tampered.
+   */
+  decode(result) {
+    if (!this.isEncoded(result)) {
+      return null;
+    }
+    const index = result.lastIndexOf(this.separator);
+    const data = result.slice(0, index);
+    const expected = Buffer.from(this.sign(data));
+    const actual = Buffer.from(result.slice(index + 1));
+    if (expected.length !== actual.length ||
+        !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    // Skip the marker.
+    const parts = data.split(this.separator).slice(1);
+    return {"action": parts[0], "payload": parts.slice(1)};
   }
 }
 
 /**
+ * @private
+ * @description Choose `node:http` or `node:https` by URL protocol.
  * @param {String} url Target URL.
- * @param {Object} [headers]
+ * @return {Object} Transport module.
+ */
+const getTransport = (url) => {
+  return new URL(url).protocol === "http:" ? http : https;
+};
+
+/**
+ * @private
+ * @description Send a request and collect the whole response body.
+ * @param {String} url Target URL.
+ * @param {Object} opts Options for `http.request()`.
+ * @param {(String|Buffer|stream.Readable)} [body]
  * @return {Promise<Buffer>}
  */
-const get = (url, headers = {}) => {
-  const timeout = 1500;
-  const opts = {
-    "method": "GET",
-    "timeout": timeout,
-    "headers": {}
-  };
-  for (const [k, v] of Object.entries(headers)) {
-    opts["headers"][k.toLowerCase()] = v;
-  }
+const sendRequest = (url, opts, body = null) => {
+  const timeout = opts["timeout"];
+  const signal = opts["signal"];
+  // Don't pass it to `http.request()`, we handle it by ourselves.
+  delete opts["signal"];
   return new Promise((resolve, reject) => {
-    const req = https.request(url, opts, (res) => {
+    if (signal != null && signal.aborted) {
+      reject(new AbortError("Request Error: Aborted."));
+      return;
+    }
+    // Wrap low-level errors so callers only need to handle our errors.
+    const onError = (error) => {
+      if (!(error instanceof NetworkError || error instanceof AbortError)) {
+        error = new NetworkError(
+          `Network Error: ${error.message}`,
+          {"cause": error}
+        );
+      }
+      reject(error);
+    };
+    const req = getTransport(url).request(url, opts, (res) => {
       const chunks = [];
-      res.on("error", reject);
+      res.on("error", onError);
       // See <https://github.com/axios/axios/blob/main/lib/adapters/http.js#L416-L420>.
       res.setTimeout(timeout, () => {
-        res.destory(new Error("Response Error: Timeout."));
+        res.destroy(new TimeoutError("Response Error: Timeout."));
       });
       res.on("data", (chunk) => {
         chunks.push(chunk);
@@ -338,87 +872,320 @@ const get = (url, headers = {}) => {
         resolve(Buffer.concat(chunks));
       });
     });
-    req.on("error", reject);
+    req.on("error", onError);
     // See <https://github.com/axios/axios/blob/main/lib/adapters/http.js#L416-L420>.
     req.setTimeout(timeout, () => {
-      req.destory(new Error("Request Error: Timeout."));
+      req.destroy(new TimeoutError("Request Error: Timeout."));
     });
+    if (signal != null) {
+      const onAbort = () => {
+        req.destroy(new AbortError("Request Error: Aborted."));
+      };
+      signal.addEventListener("abort", onAbort);
+      req.on("close", () => {
+        signal.removeEventListener("abort", onAbort);
+      });
+    }
+    if (isReadable(body)) {
+      // Unlike `pipe()`, `pipeline()` also destroys body if request fails,
+      // so opened files are closed.
+      pipeline(body, req, (error) => {
+        if (error != null) {
+          onError(error);
+        }
+      });
+      return;
+    }
+    if (body != null) {
+      req.write(body);
+    }
     req.end();
   });
 };
 
 /**
- * @param {String} url Target URL.
- * @param {(String|Buffer|Object)} body Object will be JSON-serialized.
+ * @param {String} url Target URL, both `http://` and `https://` work.
  * @param {Object} [headers]
- * @return {Promise<Buffer>}
+ * @param {Object} [opts] Optional arguments.
+ * @param {Number} [opts.timeout=1500] Timeout in milliseconds.
+ * @param {AbortSignal} [opts.signal] Abort request with it.
+ * @return {Promise<Buffer>} Rejects with NetworkError, TimeoutError or
+ * AbortError.
  */
-const post = (url, body, headers = {}) => {
-  const timeout = 1500;
-  const opts = {
+const get = (url, headers = {}, opts = {}) => {
+  const timeout = opts["timeout"] || 1500;
+  const requestOpts = {
+    "method": "GET",
+    "timeout": timeout,
+    "signal": opts["signal"],
+    "headers": {}
+  };
+  for (const [k, v] of Object.entries(headers)) {
+    requestOpts["headers"][k.toLowerCase()] = v;
+  }
+  return sendRequest(url, requestOpts);
+};
+
+/**
+ * @param {String} url Target URL, both `http://` and `https://` work.
+ * @param {(String|Buffer|stream.Readable|Object)} body Object will be JSON-serialized, Readable will be piped.
+ * @param {Object} [headers]
+ * @param {Object} [opts] Optional arguments.
+ * @param {Number} [opts.timeout=1500] Timeout in milliseconds.
+ * @param {AbortSignal} [opts.signal] Abort request with it.
+ * @return {Promise<Buffer>} Rejects with NetworkError, TimeoutError or
+ * AbortError.
+ */
+const post = (url, body, headers = {}, opts = {}) => {
+  const timeout = opts["timeout"] || 1500;
+  const requestOpts = {
     "method": "POST",
     "timeout": timeout,
+    "signal": opts["signal"],
     "headers": {}
   };
   for (const [k, v] of Object.entries(headers)) {
-    opts["headers"][k.toLowerCase()] = v;
+    requestOpts["headers"][k.toLowerCase()] = v;
   }
-  if (!(isBuffer(body) || isString(body))) {
+  if (!(isBuffer(body) || isString(body) || isReadable(body))) {
     body = JSON.stringify(body);
-    opts["headers"]["content-type"] = "application/json";
-    opts["headers"]["content-length"] = `${Buffer.byteLength(body)}`;
+    requestOpts["headers"]["content-type"] = "application/json";
+    requestOpts["headers"]["content-length"] = `${Buffer.byteLength(body)}`;
+  }
+  return sendRequest(url, requestOpts, body);
+};
+
+/**
+ * @description Like `get()` but resolves a response stream as soon as headers
+ * arrive, useful for downloading large files.
+ * @param {String} url Target URL, both `http://` and `https://` work.
+ * @param {Object} [headers]
+ * @param {Object} [opts] Optional arguments.
+ * @param {Number} [opts.timeout=1500] Timeout in milliseconds.
+ * @return {Promise<http.IncomingMessage>} Rejects with NetworkError,
+ * TimeoutError, or StatusError for non-2xx status.
+ */
+const getStream = (url, headers = {}, opts = {}) => {
+  const timeout = opts["timeout"] || 1500;
+  const requestOpts = {
+    "method": "GET",
+    "timeout": timeout,
+    "headers": {}
+  };
+  for (const [k, v] of Object.entries(headers)) {
+    requestOpts["headers"][k.toLowerCase()] = v;
   }
   return new Promise((resolve, reject) => {
-    const req = https.request(url, opts, (res) => {
-      const chunks = [];
-      res.on("error", reject);
+    const req = getTransport(url).request(url, requestOpts, (res) => {
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        // Drop body so the socket can be freed.
+        res.resume();
+        reject(new StatusError(`Status Error: HTTP ${res.statusCode}.`, {
+          "statusCode": res.statusCode
+        }));
+        return;
+      }
       // See <https://github.com/axios/axios/blob/main/lib/adapters/http.js#L416-L420>.
       res.setTimeout(timeout, () => {
-        res.destory(new Error("Response Error: Timeout."));
-      });
-      res.on("data", (chunk) => {
-        chunks.push(chunk);
-      });
-      res.on("end", () => {
-        resolve(Buffer.concat(chunks));
+        res.destroy(new TimeoutError("Response Error: Timeout."));
       });
+      resolve(res);
+    });
+    req.on("error", (error) => {
+      if (!(error instanceof NetworkError)) {
+        error = new NetworkError(
+          `Network Error: ${error.message}`,
+          {"cause": error}
+        );
+      }
+      reject(error);
     });
-    req.on("error", reject);
     // See <https://github.com/axios/axios/blob/main/lib/adapters/http.js#L416-L420>.
     req.setTimeout(timeout, () => {
-      req.destory(new Error("Request Error: Timeout."));
+      req.destroy(new TimeoutError("Request Error: Timeout."));
     });
-    req.write(body);
     req.end();
   });
 };
 
+/**
+ * @description Get type of Update, which is the only optional field.
+ * @see https://core.telegram.org/bots/api#update
+ * @param {Object} update Telegram update.
+ * @return {String} Type like `message` or `callback_query`, `null` if unknown.
+ */
+const getUpdateType = (update) => {
+  if (update == null) {
+    return null;
+  }
+  for (const key of Object.keys(update)) {
+    if (key !== "update_id" && update[key] != null) {
+      return key;
+    }
+  }
+  return null;
+};
+
+/**
+ * @description Get the user who triggers the Update, like `from` of Message,
+ * CallbackQuery, InlineQuery and ChatMemberUpdated, or `user` of PollAnswer
+ * and MessageReactionUpdated.
+ * @param {Object} update Telegram update.
+ * @return {Object} User, `null` for Updates without a user like channel
+ * posts and polls.
+ */
+const getUpdateUser = (update) => {
+  const type = getUpdateType(update);
+  if (type == null || !isObject(update[type])) {
+    return null;
+  }
+  const payload = update[type];
+  return payload["from"] || payload["user"] || null;
+};
+
+/**
+ * @description Get the chat where the Update happens, like `chat` of Message
+ * and ChatMemberUpdated, `message.chat` of CallbackQuery, or `voter_chat` of
+ * PollAnswer.
+ * @param {Object} update Telegram update.
+ * @return {Object} Chat, `null` for Updates without a chat like inline
+ * queries.
+ */
+const getUpdateChat = (update) => {
+  const type = getUpdateType(update);
+  if (type == null || !isObject(update[type])) {
+    return null;
+  }
+  const payload = update[type];
+  if (payload["chat"] != null) {
+    return payload["chat"];
+  }
+  if (payload["message"] != null && payload["message"]["chat"] != null) {
+    return payload["message"]["chat"];
+  }
+  return payload["voter_chat"] || null;
+};
+
+/**
+ * @description Get the Message of Update, including `message` of
+ * CallbackQuery.
+ * @param {Object} update Telegram update.
+ * @return {Object} Message, `null` if no Message.
+ */
+const getUpdateMessage = (update) => {
+  const type = getUpdateType(update);
+  if (type == null || !isObject(update[type])) {
+    return null;
+  }
+  const payload = update[type];
+  if (payload["message_id"] != null) {
+    return payload;
+  }
+  if (isObject(payload["message"]) && payload["message"]["chat"] != null) {
+    return payload["message"];
+  }
+  return null;
+};
+
 /**
  * @param {Object} update Telegram update.
- * @return {String} A string which can be used as key.
+ * @return {String} A string which can be used as key, user ID of any type of
+ * Update, `"0"` if no user.
  */
 const perFromID = (update) => {
-  if (update != null &&
-      update["message"] != null &&
-      update["message"]["from"] != null &&
-      update["message"]["from"]["id"] != null) {
-    return `${update["message"]["from"]["id"]}`;
+  const user = getUpdateUser(update);
+  if (user != null && user["id"] != null) {
+    return `${user["id"]}`;
   }
   return "0";
 };
 
 /**
  * @param {Object} update Telegram update.
- * @return {String} A string which can be used as key.
+ * @return {String} A string which can be used as key, chat ID of any type of
+ * Update. Updates without a chat use user ID, which is the same as ID of the
+ * private chat with user. `"0"` if no chat and user.
  */
 const perChatID = (update) => {
-  if (update != null &&
-      update["message"] != null &&
-      update["message"]["chat"] != null &&
-      update["message"]["chat"]["id"] != null) {
-    return `${update["message"]["chat"]["id"]}`;
+  const chat = getUpdateChat(update);
+  if (chat != null && chat["id"] != null) {
+    return `${chat["id"]}`;
   }
-  return "0";
+  return perFromID(update);
+};
+
+/**
+ * @description One identifier for each user in each chat, useful for group
+ * bots that keep state per member.
+ * @param {Object} update Telegram update.
+ * @return {String} A string like `chatID:userID`.
+ */
+const perChatAndUser = (update) => {
+  return `${perChatID(update)}:${perFromID(update)}`;
+};
+
+/**
+ * @description One identifier for each topic of forum, or each chat if the
+ * Update does not belong to a topic.
+ * @param {Object} update Telegram update.
+ * @return {String} A string like `chatID:threadID`, or `chatID`.
+ */
+const perTopic = (update) => {
+  const message = getUpdateMessage(update);
+  if (message != null && message["is_topic_message"] &&
+      message["message_thread_id"] != null) {
+    return `${perChatID(update)}:${message["message_thread_id"]}`;
+  }
+  return perChatID(update);
+};
+
+/**
+ * @private
+ * @description Count of temporary files, makes names of them unique.
+ */
+let tmpFileCount = 0;
+
+/**
+ * @description Write a value into a JSON file, parent directory is created
+ * if not exists. It writes a temporary file and renames it, so a crash won't
+ * leave a broken file.
+ * @param {String} filepath
+ * @param {*} value A JSON serializable value.
+ * @return {Promise}
+ */
+const writeJSONFile = async (filepath, value) => {
+  await fs.promises.mkdir(path.dirname(filepath), {"recursive": true});
+  // Writes to the same file may overlap, each needs its own temporary file.
+  const tmp = `${filepath}.${process.pid}.${++tmpFileCount}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(value), "utf8");
+  await fs.promises.rename(tmp, filepath);
+};
+
+/**
+ * @param {Number} ms Milliseconds to wait.
+ * @param {AbortSignal} [signal] Resolve early when aborted.
+ * @return {Promise}
+ */
+const sleep = (ms, signal = null) => {
+  return new Promise((resolve) => {
+    if (signal != null && signal.aborted) {
+      resolve();
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timeoutID);
+      resolve();
+    };
+    const timeoutID = setTimeout(() => {
+      if (signal != null) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal != null) {
+      signal.addEventListener("abort", onAbort, {"once": true});
+    }
+  });
 };
 
 /**
@@ -461,6 +1228,22 @@ const isBuffer = (o) => {
   return Buffer.isBuffer(o);
 };
 
+/**
+ * @param {*} o
+ * @return {Boolean}
+ */
+const isReadable = (o) => {
+  return o instanceof Readable;
+};
+
+/**
+ * @param {*} o
+ * @return {Boolean}
+ */
+const isInputFile = (o) => {
+  return o instanceof InputFile;
+};
+
 /**
  * @param {*} o
  * @return {Boolean}
@@ -496,9 +1279,31 @@ const toSnakeCase = (camelCase) => {
     });
 };
 
+/**
+ * @private
+ * @description Transfer keys of Objects inside a value into snake_case.
+ * @param {*} value
+ * @return {*}
+ */
+const toSnakeCaseValue = (value) => {
+  // Builders like InlineKeyboard know how to serialize themselves.
+  if (isObject(value) && isFunction(value.toJSON) &&
+      !isInputFile(value) && !isBuffer(value)) {
+    return toSnakeCaseValue(value.toJSON());
+  }
+  if (isArray(value)) {
+    return value.map(toSnakeCaseValue);
+  }
+  // InputFile is kept as is, it may contain a Readable.
+  if (isObject(value) && !isInputFile(value)) {
+    return toSnakeCaseObject(value);
+  }
+  return value;
+};
+
 /**
  * @description Assign Objects into one Object which keys are all transfered
- * into snake_case.
+ * into snake_case, Arrays are kept as Arrays.
  * @param {...Object}
  * @return {Object} Assigned snake_case Object.
  */
@@ -508,8 +1313,7 @@ const toSnakeCaseObject = (...objects) => {
     for (const entry of Object.entries(object)) {
       // This does not work well with circular reference, but if you use
       // circular reference in API arguments, you are dead.
-      result[toSnakeCase(entry[0])] =
-        isObject(entry[1]) ? toSnakeCaseObject(entry[1]) : entry[1];
+      result[toSnakeCase(entry[0])] = toSnakeCaseValue(entry[1]);
     }
   }
   return result;
@@ -525,9 +1329,24 @@ const toSnakeCaseFormData = (...objects) => {
   const formData = new FormData();
   for (const object of objects) {
     for (const entry of Object.entries(object)) {
-      if (isObject(entry[1])) {
+      if (isInputFile(entry[1])) {
         // Append with a filename. We only handle file here, otherwise you
         // should not use FormData.
+        formData.append(toSnakeCase(entry[0]), entry[1], entry[1].filename);
+      } else if (isArray(entry[1])) {
+        // FormData only has strings, Telegram accepts JSON-serialized Arrays.
+        formData.append(
+          toSnakeCase(entry[0]),
+          JSON.stringify(toSnakeCaseValue(entry[1]))
+        );
+      } else if (isObject(entry[1]) && !isBuffer(entry[1]["buffer"])) {
+        // Objects like `replyMarkup` are JSON-serialized like Arrays.
+        formData.append(
+          toSnakeCase(entry[0]),
+          JSON.stringify(toSnakeCaseValue(entry[1]))
+        );
+      } else if (isObject(entry[1])) {
+        // Keep compatibility with objects like `{buffer, filename}`.
         formData.append(
           toSnakeCase(entry[0]),
           entry[1]["buffer"],
@@ -549,16 +1368,32 @@ export {
   InputMediaAnimation,
   InputMediaAudio,
   InputMediaDocument,
+  InlineKeyboard,
+  ReplyKeyboard,
+  ReplyKeyboardRemove,
+  ForceReply,
   FormData,
+  CallbackCodec,
   get,
   post,
+  getStream,
+  getUpdateType,
+  getUpdateUser,
+  getUpdateChat,
+  getUpdateMessage,
   perFromID,
   perChatID,
+  perChatAndUser,
+  perTopic,
+  sleep,
+  writeJSONFile,
   isString,
   isArray,
   isFunction,
   isObject,
   isBuffer,
+  isReadable,
+  isInputFile,
   isFormData,
   toSnakeCase,
   toSnakeCaseObject,
@@ -0,0 +1,247 @@
+/**
+ * @module bot-webhook
+ */
+
+import * as http from "node:http";
+import * as https from "node:https";
+import * as crypto from "node:crypto";
+import {Buffer} from "node:buffer";
+import BotLogger from "./bot-logger.js";
+import {InputFile, isFunction, isObject} from "./bot-utils.js";
+
+/**
+ * @description A webhook server that receives Updates and call `onUpdates()`,
+ * an alternative to BotPoller.
+ * @see https://core.telegram.org/bots/api#setwebhook
+ * @example
+ * new BotWebhook(botAPI, onUpdates, opts)
+ */
+class BotWebhook {
+  /**
+   * @param {BotAPI} botAPI
+   * @param {Function} onUpdates A callback Function to process Updates.
+   * @param {Object} opts Optional arguments.
+   * @param {String} opts.url Public HTTPS URL for Telegram, passed to `setWebhook()`.
+   * @param {Number} [opts.port=8443] Port to listen.
+   * @param {String} [opts.host] Host to listen, default to all addresses.
+   * @param {String} [opts.path] Only accept requests of this path, default to path of `opts.url`.
+   * @param {String} [opts.secretToken] Checked with `X-Telegram-Bot-Api-Secret-Token` header.
+   * @param {(String|Buffer)} [opts.cert] PEM certificate, serve HTTPS if given with `opts.key`.
+   * @param {(String|Buffer)} [opts.key] PEM private key.
+   * @param {Boolean} [opts.uploadCertificate=false] Upload `opts.cert` to Telegram, needed for self-signed certificate.
+   * @param {String[]} [opts.allowedUpdates] Update types to receive.
+   * @param {Number} [opts.maxConnections] Max simultaneous connections from Telegram.
+   * @param {Boolean} [opts.dropPendingUpdates=false] Drop Updates before webhook is set.
+   * @param {Number} [opts.maxBodySize=1048576] Max bytes of request body.
+   * @param {BotLogger} [opts.botLogger] Pass a custom BotLogger.
+   * @return {BotWebhook}
+   */
+  constructor(botAPI, onUpdates, opts = {}) {
+    this.botAPI = botAPI;
+    if (!isFunction(onUpdates)) {
+      throw new TypeError("Expect a Function as `onUpdates`");
+    }
+    this.onUpdates = onUpdates;
+    if (opts["url"] == null) {
+      throw new TypeError("Expect a String as `opts['url']`");
+    }
+    this.url = opts["url"];
+    this.port = opts["port"] || 8443;
+    this.host = opts["host"] || null;
+    this.path = opts["path"] || new URL(this.url).pathname;
+    this.secretToken = opts["secretToken"] || null;
+    this.cert = opts["cert"] || null;
+    this.key = opts["key"] || null;
+    this.uploadCertificate = opts["uploadCertificate"] || false;
+    this.allowedUpdates = opts["allowedUpdates"] || null;
+    this.maxConnections = opts["maxConnections"] || null;
+    this.dropPendingUpdates = opts["dropPendingUpdates"] || false;
+    this.maxBodySize = opts["maxBodySize"] || 1024 * 1024;
+    this.botLogger = opts["botLogger"] || new BotLogger(false);
+    this.isListening = false;
+    this.server = null;
+  }
+
+  /**
+   * @description Start server and register webhook to Telegram.
+   * @return {Promise<Boolean>} Listening or not.
+   */
+  async startListenUpdates() {
+    if (this.isListening) {
+      return this.isListening;
+    }
+    const handler = (req, res) => {
+      // Never let a rejection escape from the request listener.
+      this.handleRequest(req, res).catch((error) => {
+        this.botLogger.warn("Webhook: Failed to handle request.");
+        this.botLogger.error(error);
+        if (!res.headersSent) {
+          res.writeHead(500, {"Content-Length": "0"});
+        }
+        res.end();
+      });
+    };
+    if (this.cert != null && this.key != null) {
+      this.server = https.createServer(
+        {"cert": this.cert, "key": this.key},
+        handler
+      );
+    } else {
+      this.server = http.createServer(handler);
+    }
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off("error", reject);
+        resolve();
+      });
+    });
+    this.isListening = true;
+    this.botLogger.debug(`Webhook: Listening on port ${this.port}…`);
+    const opts = {};
+    if (this.secretToken != null) {
+      opts["secretToken"] = this.secretToken;
+    }
+    if (this.allowedUpdates != null) {
+      opts["allowedUpdates"] = this.allowedUpdates;
+    }
+    if (this.maxConnections != null) {
+      opts["maxConnections"] = this.maxConnections;
+    }
+    if (this.dropPendingUpdates) {
+      opts["dropPendingUpdates"] = true;
+    }
+    if (this.uploadCertificate && this.cert != null) {
+      opts["certificate"] = new InputFile(Buffer.from(this.cert), "cert.pem");
+    }
+    try {
+      await this.botAPI.setWebhook(this.url, opts);
+    } catch (error) {
+      await this.stopListenUpdates();
+      throw error;
+    }
+    return this.isListening;
+  }
+
+  /**
+   * @description Stop server, webhook is kept on Telegram so Updates are
+   * queued until next start.
+   * @return {Promise<Boolean>} Listening or not.
+   */
+  async stopListenUpdates() {
+    if (this.isListening) {
+      this.isListening = false;
+      await new Promise((resolve) => {
+        this.server.close(resolve);
+        // Telegram keeps connections alive, don't wait for them.
+        if (isFunction(this.server.closeIdleConnections)) {
+          this.server.closeIdleConnections();
+        }
+      });
+      this.server = null;
+    }
+    return this.isListening;
+  }
+
+  /**
+   * @private
+   * @param {String} token Secret token from header.
+   * @return {Boolean}
+   */
+  checkSecretToken(token) {
+    if (this.secretToken == null) {
+      return true;
+    }
+    if (token == null) {
+      return false;
+    }
+    const expected = Buffer.from(this.secretToken);
+    const actual = Buffer.from(token);
+    return expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * @private
+   * @param {http.IncomingMessage} req
+   * @return {Promise<Buffer>} `null` if body is too large.
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on("error", reject);
+      req.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > this.maxBodySize) {
+          req.destroy();
+          resolve(null);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on("end", () => {
+        resolve(Buffer.concat(chunks));
+      });
+    });
+  }
+
+  /**
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handleRequest(req, res) {
+    const reply = (statusCode) => {
+      res.writeHead(statusCode, {"Content-Length": "0"});
+      res.end();
+    };
+    if (new URL(req.url, "http://localhost").pathname !== this.path) {
+      reply(404);
+      return;
+    }
+    if (req.method !== "POST") {
+      reply(405);
+      return;
+    }
+    const token = req.headers["x-telegram-bot-api-secret-token"];
+    if (!this.checkSecretToken(token)) {
+      this.botLogger.warn("Webhook: Got a request with wrong secret token.");
+      reply(403);
+      return;
+    }
+    let update;
+    try {
+      const body = await this.readBody(req);
+      if (body == null) {
+        reply(413);
+        return;
+      }
+      update = JSON.parse(body.toString("utf8"));
+    } catch (error) {
+      this.botLogger.warn("Webhook: Failed to read update.");
+      this.botLogger.error(error);
+      reply(400);
+      return;
+    }
+    if (!isObject(update) || typeof update["update_id"] !== "number") {
+      this.botLogger.warn("Webhook: Got a request which is not an update.");
+      reply(400);
+      return;
+    }
+    this.botLogger.debug(
+      `Webhook: Got update ${update["update_id"]}, calling handler…`
+    );
+    try {
+      await this.onUpdates([update]);
+      reply(200);
+    } catch (error) {
+      // Telegram will send this update again later.
+      this.botLogger.warn("Webhook: Failed to handle update.");
+      this.botLogger.error(error);
+      reply(500);
+    }
+  }
+}
+
+export default BotWebhook;
@@ -5,7 +5,24 @@ import BotMaster from "./bot-master.js";
 import BotServant from "./bot-servant.js";
 import BotAPI from "./bot-api.js";
 import BotPoller from "./bot-poller.js";
+import BotWebhook from "./bot-webhook.js";
 import BotLogger from "./bot-logger.js";
+import BotScheduler from "./bot-scheduler.js";
+import BotRouter from "./bot-router.js";
+import BotGuard from "./bot-guard.js";
+import BotCallbackDispatcher from "./bot-callback-dispatcher.js";
+import {MemoryOffsetStore, FileOffsetStore} from "./bot-offset-store.js";
+import {MemoryStorage, FileStorage} from "./bot-storage.js";
+import {
+  BotError,
+  TelegramError,
+  NetworkError,
+  TimeoutError,
+  ResponseError,
+  StatusError,
+  AbortError,
+  WaitError
+} from "./bot-error.js";
 import * as botUtils from "./bot-utils.js";
 
 export {
@@ -13,6 +30,23 @@ export {
   BotServant,
   BotAPI,
   BotPoller,
+  BotWebhook,
   BotLogger,
+  BotScheduler,
+  BotRouter,
+  BotGuard,
+  BotCallbackDispatcher,
+  MemoryOffsetStore,
+  FileOffsetStore,
+  MemoryStorage,
+  FileStorage,
+  BotError,
+  TelegramError,
+  NetworkError,
+  TimeoutError,
+  ResponseError,
+  StatusError,
+  AbortError,
+  WaitError,
   botUtils
 };